@@ -0,0 +1,177 @@
+const { DEFINITIONS } = require('./definitions');
+const { isType } = require('./node-types');
+
+const PRIMITIVES = ['string', 'boolean', 'number', 'object', 'any', 'literal'];
+
+/**
+ * 解析 definitions 中的字段类型写法
+ * @param {string} source
+ * @returns {Object}
+ */
+const parseSpec = source => {
+  let spec = source.trim();
+  const nullable = spec.endsWith('?') && !spec.startsWith('[');
+  if (nullable) spec = spec.slice(0, -1);
+
+  if (spec.startsWith('[')) {
+    return { kind: 'array', element: parseSpec(spec.slice(1, -1)), nullable: false };
+  }
+  if (PRIMITIVES.includes(spec)) {
+    return { kind: 'primitive', name: spec, nullable };
+  }
+  if (spec.startsWith('"')) {
+    // 运算符里有 | 和 ||，不能直接按 | 分割
+    const values = spec.match(/"(?:[^"\\]|\\.)*"/g).map(value => JSON.parse(value));
+    return { kind: 'enum', values, nullable };
+  }
+  return { kind: 'node', types: spec.split('|'), nullable };
+};
+
+const specCache = new Map();
+
+const getSpec = field => {
+  const source = Array.isArray(field) ? field[0] : field;
+  if (!specCache.has(source)) specCache.set(source, parseSpec(source));
+  return specCache.get(source);
+};
+
+const describe = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value && typeof value.type === 'string') return value.type;
+  return typeof value;
+};
+
+const isLiteralValue = value =>
+  value === null || value instanceof RegExp || ['string', 'number', 'boolean', 'bigint'].includes(typeof value);
+
+/**
+ * 检查单个值是否符合字段类型，不递归检查子节点
+ * @returns {string | null} 不符合时返回错误描述
+ */
+const checkValue = (value, spec) => {
+  // null 本身是合法的字面量值
+  if (value === null && spec.kind === 'primitive' && spec.name === 'literal') return null;
+  if (value == null) {
+    return spec.nullable ? null : `expected ${formatSpec(spec)}, got ${describe(value)}`;
+  }
+
+  let valid;
+  switch (spec.kind) {
+    case 'array':
+      valid = Array.isArray(value);
+      break;
+    case 'enum':
+      valid = spec.values.includes(value);
+      break;
+    case 'node':
+      valid = spec.types.some(type => isType(value, type));
+      break;
+    case 'primitive':
+      if (spec.name === 'any') valid = true;
+      else if (spec.name === 'literal') valid = isLiteralValue(value);
+      else valid = typeof value === spec.name;
+      break;
+  }
+  return valid ? null : `expected ${formatSpec(spec)}, got ${spec.kind === 'enum' ? JSON.stringify(value) : describe(value)}`;
+};
+
+const formatSpec = spec => {
+  switch (spec.kind) {
+    case 'array':
+      return `[${formatSpec(spec.element)}]`;
+    case 'enum':
+      return spec.values.map(value => JSON.stringify(value)).join('|');
+    case 'node':
+      return spec.types.join('|');
+    default:
+      return spec.name;
+  }
+};
+
+const invalid = (path, message) => {
+  const error = new TypeError(`Invalid ${path}: ${message}`);
+  error.path = path;
+  return error;
+};
+
+/**
+ * 检查字段，数组会检查每个元素，deep 为 true 时递归检查子节点
+ */
+const validateField = (value, field, path, deep) => {
+  const spec = getSpec(field);
+  const message = checkValue(value, spec);
+  if (message) throw invalid(path, message);
+
+  if (spec.kind === 'array') {
+    value.forEach((element, i) => {
+      const elementPath = `${path}[${i}]`;
+      const elementMessage = checkValue(element, spec.element);
+      if (elementMessage) throw invalid(elementPath, elementMessage);
+      if (deep && element != null && spec.element.kind === 'node') validateNode(element, elementPath);
+    });
+  } else if (deep && value != null && spec.kind === 'node') {
+    validateNode(value, path);
+  }
+};
+
+const validateNode = (node, path) => {
+  const definition = node && DEFINITIONS[node.type];
+  if (!definition) {
+    throw invalid(path, `unknown node type ${describe(node)}`);
+  }
+  for (const [key, field] of Object.entries(definition.fields)) {
+    // 有默认值的字段允许缺省，比如 acorn 不会生成 optional
+    if (Array.isArray(field) && node[key] === undefined) continue;
+    validateField(node[key], field, `${path}.${key}`, true);
+  }
+};
+
+/**
+ * 递归检查 AST 的每个字段，遇到第一个不合法的字段时抛出 TypeError，
+ * 错误的 path 属性记录从根节点到该字段的路径，如 Program.body[0].expression.left
+ * @param {Object} node
+ * @returns {true}
+ */
+function validate(node) {
+  validateNode(node, describe(node));
+  return true;
+}
+
+const lowerFirst = name => name[0].toLowerCase() + name.slice(1);
+
+/**
+ * 按 definitions 生成 builder，参数按 definition.builder 的顺序传入，
+ * 缺省的参数使用默认值，每个字段都会检查类型
+ */
+const createBuilder = type => {
+  const { builder, fields } = DEFINITIONS[type];
+  return (...args) => {
+    const node = { type };
+    builder.forEach((key, i) => {
+      node[key] = args[i];
+    });
+    for (const [key, field] of Object.entries(fields)) {
+      if (node[key] !== undefined || !Array.isArray(field)) continue;
+      const defaultValue = field[1];
+      node[key] = typeof defaultValue === 'function' ? defaultValue(node) : defaultValue;
+    }
+    for (const [key, field] of Object.entries(fields)) {
+      validateField(node[key], field, `${type}.${key}`, false);
+    }
+    return node;
+  };
+};
+
+/**
+ * 所有节点的 builder，如 builders.identifier('a')、builders.binaryExpression('+', left, right)
+ */
+const builders = {};
+for (const type of Object.keys(DEFINITIONS)) {
+  builders[lowerFirst(type)] = createBuilder(type);
+}
+
+module.exports = {
+  builders,
+  validate,
+};
@@ -0,0 +1,67 @@
+const acorn = require('acorn');
+const astring = require('astring');
+const { builders: b, validate } = require('./builders');
+const test = require('ava');
+
+test('builder 生成节点并填充默认值', t => {
+  const fn = b.functionDeclaration(
+    b.identifier('add'),
+    [b.identifier('a'), b.identifier('b')],
+    b.blockStatement([
+      b.returnStatement(b.binaryExpression('+', b.identifier('a'), b.identifier('b'))),
+    ]),
+  );
+  t.false(fn.generator);
+  t.false(fn.async);
+  t.is(astring.generate(b.program([fn])), 'function add(a, b) {\n  return a + b;\n}\n');
+
+  const arrow = b.arrowFunctionExpression([], b.literal(1));
+  t.true(arrow.expression);
+  t.is(b.memberExpression(b.identifier('a'), b.identifier('b')).computed, false);
+});
+
+test('builder 检查字段类型', t => {
+  t.throws(() => b.identifier(1), {
+    instanceOf: TypeError,
+    message: 'Invalid Identifier.name: expected string, got number',
+  });
+  t.throws(() => b.binaryExpression('=', b.identifier('a'), b.identifier('b')), {
+    message: /Invalid BinaryExpression.operator: expected .* got "="/,
+  });
+  t.throws(() => b.expressionStatement(b.variableDeclaration('var', [])), {
+    message: 'Invalid ExpressionStatement.expression: expected Expression, got VariableDeclaration',
+  });
+  t.throws(() => b.callExpression(b.identifier('f'), [b.emptyStatement()]), {
+    message: /Invalid CallExpression.arguments\[0\]/,
+  });
+});
+
+test('validate 接受 acorn 生成的 AST', t => {
+  const ast = acorn.parse(`
+    import x from 'y';
+    export default class A extends B {
+      constructor(...args) { super(...args); }
+      get [k]() { return new.target; }
+    }
+    const { a, b: [c = 1] } = x;
+    for (const i of x) label: { break label; }
+    async function* gen() { yield* await tag\`a\${1}b\`; }
+    a?.b;
+    a = null;
+  `, { ecmaVersion: 2020, sourceType: 'module' });
+  t.true(validate(ast));
+  t.is(b.literal(null).value, null);
+  t.throws(() => b.literal(undefined), { message: 'Invalid Literal.value: expected literal, got undefined' });
+});
+
+test('validate 报告非法字段的完整路径', t => {
+  const ast = acorn.parse('if (a) { foo(1 + 2); }', { ecmaVersion: 5 });
+  ast.body[0].consequent.body[0].expression.arguments[0].left = { type: 'Identifer', name: 'x' };
+  const error = t.throws(() => validate(ast), { instanceOf: TypeError });
+  t.is(error.path, 'Program.body[0].consequent.body[0].expression.arguments[0].left');
+  t.is(error.message, `Invalid ${error.path}: expected Expression, got Identifer`);
+
+  t.throws(() => validate(b.ifStatement(b.identifier('a'), { type: 'Block', body: [] })), {
+    message: 'Invalid IfStatement.consequent: expected Statement, got Block',
+  });
+});
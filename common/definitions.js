@@ -0,0 +1,454 @@
+/**
+ * ES2015 ESTree 节点定义，参考 https://github.com/estree/estree
+ *
+ * fields 中每个字段的类型写法：
+ *   Expression / Identifier|Literal   节点类型或别名，可以用 | 连接
+ *   string / boolean / number / object / literal / any
+ *   "var"|"let"                        枚举值
+ *   [Statement]                        节点数组，[Expression?] 表示元素可以为 null
+ *   结尾的 ?                           字段可以为 null
+ * 字段写成 [类型, 默认值] 时 builder 会在参数缺省时填入默认值，默认值可以是 (node) => value
+ *
+ * builder 是对应 builder 函数的参数顺序
+ */
+const DEFINITIONS = {};
+
+const defineType = (type, { builder = [], fields = {} } = {}) => {
+  DEFINITIONS[type] = { builder, fields };
+};
+
+const UNARY_OPERATORS = '"-"|"+"|"!"|"~"|"typeof"|"void"|"delete"';
+const BINARY_OPERATORS = [
+  '==', '!=', '===', '!==', '<', '<=', '>', '>=', '<<', '>>', '>>>',
+  '+', '-', '*', '/', '%', '**', '|', '^', '&', 'in', 'instanceof',
+].map(operator => `"${operator}"`).join('|');
+const ASSIGNMENT_OPERATORS = [
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '|=', '^=', '&=',
+  '||=', '&&=', '??=',
+].map(operator => `"${operator}"`).join('|');
+
+defineType('Program', {
+  builder: ['body', 'sourceType'],
+  fields: {
+    body: '[Statement|ModuleDeclaration]',
+    sourceType: ['"script"|"module"', 'script'],
+  },
+});
+
+defineType('Identifier', {
+  builder: ['name'],
+  fields: { name: 'string' },
+});
+
+defineType('Literal', {
+  builder: ['value', 'raw'],
+  fields: {
+    value: 'literal',
+    raw: 'string?',
+    regex: 'object?',
+  },
+});
+
+// 语句
+
+defineType('ExpressionStatement', {
+  builder: ['expression'],
+  fields: { expression: 'Expression' },
+});
+
+defineType('BlockStatement', {
+  builder: ['body'],
+  fields: { body: '[Statement]' },
+});
+
+defineType('EmptyStatement');
+
+defineType('DebuggerStatement');
+
+defineType('WithStatement', {
+  builder: ['object', 'body'],
+  fields: { object: 'Expression', body: 'Statement' },
+});
+
+defineType('ReturnStatement', {
+  builder: ['argument'],
+  fields: { argument: 'Expression?' },
+});
+
+defineType('LabeledStatement', {
+  builder: ['label', 'body'],
+  fields: { label: 'Identifier', body: 'Statement' },
+});
+
+defineType('BreakStatement', {
+  builder: ['label'],
+  fields: { label: 'Identifier?' },
+});
+
+defineType('ContinueStatement', {
+  builder: ['label'],
+  fields: { label: 'Identifier?' },
+});
+
+defineType('IfStatement', {
+  builder: ['test', 'consequent', 'alternate'],
+  fields: { test: 'Expression', consequent: 'Statement', alternate: 'Statement?' },
+});
+
+defineType('SwitchStatement', {
+  builder: ['discriminant', 'cases'],
+  fields: { discriminant: 'Expression', cases: '[SwitchCase]' },
+});
+
+defineType('SwitchCase', {
+  builder: ['test', 'consequent'],
+  fields: { test: 'Expression?', consequent: '[Statement]' },
+});
+
+defineType('ThrowStatement', {
+  builder: ['argument'],
+  fields: { argument: 'Expression' },
+});
+
+defineType('TryStatement', {
+  builder: ['block', 'handler', 'finalizer'],
+  fields: { block: 'BlockStatement', handler: 'CatchClause?', finalizer: 'BlockStatement?' },
+});
+
+defineType('CatchClause', {
+  builder: ['param', 'body'],
+  fields: { param: 'Pattern?', body: 'BlockStatement' },
+});
+
+defineType('WhileStatement', {
+  builder: ['test', 'body'],
+  fields: { test: 'Expression', body: 'Statement' },
+});
+
+defineType('DoWhileStatement', {
+  builder: ['body', 'test'],
+  fields: { body: 'Statement', test: 'Expression' },
+});
+
+defineType('ForStatement', {
+  builder: ['init', 'test', 'update', 'body'],
+  fields: {
+    init: 'VariableDeclaration|Expression?',
+    test: 'Expression?',
+    update: 'Expression?',
+    body: 'Statement',
+  },
+});
+
+defineType('ForInStatement', {
+  builder: ['left', 'right', 'body'],
+  fields: { left: 'VariableDeclaration|Pattern', right: 'Expression', body: 'Statement' },
+});
+
+defineType('ForOfStatement', {
+  builder: ['left', 'right', 'body', 'await'],
+  fields: {
+    left: 'VariableDeclaration|Pattern',
+    right: 'Expression',
+    body: 'Statement',
+    await: ['boolean', false],
+  },
+});
+
+// 声明
+
+defineType('FunctionDeclaration', {
+  builder: ['id', 'params', 'body', 'generator', 'async'],
+  fields: {
+    // export default function () {} 中没有 id
+    id: 'Identifier?',
+    params: '[Pattern]',
+    body: 'BlockStatement',
+    generator: ['boolean', false],
+    async: ['boolean', false],
+  },
+});
+
+defineType('VariableDeclaration', {
+  builder: ['kind', 'declarations'],
+  fields: {
+    kind: '"var"|"let"|"const"',
+    declarations: '[VariableDeclarator]',
+  },
+});
+
+defineType('VariableDeclarator', {
+  builder: ['id', 'init'],
+  fields: { id: 'Pattern', init: 'Expression?' },
+});
+
+// 表达式
+
+defineType('ThisExpression');
+
+defineType('Super');
+
+defineType('ArrayExpression', {
+  builder: ['elements'],
+  fields: { elements: '[Expression|SpreadElement?]' },
+});
+
+defineType('ObjectExpression', {
+  builder: ['properties'],
+  fields: { properties: '[Property|SpreadElement]' },
+});
+
+defineType('Property', {
+  builder: ['key', 'value', 'kind'],
+  fields: {
+    key: 'Expression',
+    value: 'Expression|Pattern',
+    kind: ['"init"|"get"|"set"', 'init'],
+    method: ['boolean', false],
+    shorthand: ['boolean', false],
+    computed: ['boolean', false],
+  },
+});
+
+defineType('FunctionExpression', {
+  builder: ['id', 'params', 'body', 'generator', 'async'],
+  fields: {
+    id: 'Identifier?',
+    params: '[Pattern]',
+    body: 'BlockStatement',
+    generator: ['boolean', false],
+    async: ['boolean', false],
+  },
+});
+
+defineType('ArrowFunctionExpression', {
+  builder: ['params', 'body', 'async'],
+  fields: {
+    params: '[Pattern]',
+    body: 'BlockStatement|Expression',
+    async: ['boolean', false],
+    expression: ['boolean', node => node.body.type !== 'BlockStatement'],
+  },
+});
+
+defineType('UnaryExpression', {
+  builder: ['operator', 'argument', 'prefix'],
+  fields: {
+    operator: UNARY_OPERATORS,
+    argument: 'Expression',
+    prefix: ['boolean', true],
+  },
+});
+
+defineType('UpdateExpression', {
+  builder: ['operator', 'argument', 'prefix'],
+  fields: {
+    operator: '"++"|"--"',
+    argument: 'Expression',
+    prefix: ['boolean', false],
+  },
+});
+
+defineType('BinaryExpression', {
+  builder: ['operator', 'left', 'right'],
+  fields: {
+    operator: BINARY_OPERATORS,
+    left: 'Expression',
+    right: 'Expression',
+  },
+});
+
+defineType('AssignmentExpression', {
+  builder: ['operator', 'left', 'right'],
+  fields: {
+    operator: ASSIGNMENT_OPERATORS,
+    left: 'Pattern',
+    right: 'Expression',
+  },
+});
+
+defineType('LogicalExpression', {
+  builder: ['operator', 'left', 'right'],
+  fields: {
+    operator: '"||"|"&&"|"??"',
+    left: 'Expression',
+    right: 'Expression',
+  },
+});
+
+defineType('MemberExpression', {
+  builder: ['object', 'property', 'computed'],
+  fields: {
+    object: 'Expression|Super',
+    property: 'Expression',
+    computed: ['boolean', false],
+    optional: ['boolean', false],
+  },
+});
+
+defineType('ConditionalExpression', {
+  builder: ['test', 'consequent', 'alternate'],
+  fields: { test: 'Expression', consequent: 'Expression', alternate: 'Expression' },
+});
+
+defineType('CallExpression', {
+  builder: ['callee', 'arguments'],
+  fields: {
+    callee: 'Expression|Super',
+    arguments: '[Expression|SpreadElement]',
+    optional: ['boolean', false],
+  },
+});
+
+defineType('NewExpression', {
+  builder: ['callee', 'arguments'],
+  fields: { callee: 'Expression', arguments: '[Expression|SpreadElement]' },
+});
+
+defineType('SequenceExpression', {
+  builder: ['expressions'],
+  fields: { expressions: '[Expression]' },
+});
+
+defineType('SpreadElement', {
+  builder: ['argument'],
+  fields: { argument: 'Expression' },
+});
+
+defineType('YieldExpression', {
+  builder: ['argument', 'delegate'],
+  fields: { argument: 'Expression?', delegate: ['boolean', false] },
+});
+
+defineType('AwaitExpression', {
+  builder: ['argument'],
+  fields: { argument: 'Expression' },
+});
+
+defineType('ChainExpression', {
+  builder: ['expression'],
+  fields: { expression: 'CallExpression|MemberExpression' },
+});
+
+defineType('TemplateLiteral', {
+  builder: ['quasis', 'expressions'],
+  fields: { quasis: '[TemplateElement]', expressions: '[Expression]' },
+});
+
+defineType('TaggedTemplateExpression', {
+  builder: ['tag', 'quasi'],
+  fields: { tag: 'Expression', quasi: 'TemplateLiteral' },
+});
+
+defineType('TemplateElement', {
+  builder: ['value', 'tail'],
+  fields: { value: 'object', tail: ['boolean', false] },
+});
+
+defineType('MetaProperty', {
+  builder: ['meta', 'property'],
+  fields: { meta: 'Identifier', property: 'Identifier' },
+});
+
+// 解构
+
+defineType('ObjectPattern', {
+  builder: ['properties'],
+  fields: { properties: '[Property|RestElement]' },
+});
+
+defineType('ArrayPattern', {
+  builder: ['elements'],
+  fields: { elements: '[Pattern?]' },
+});
+
+defineType('RestElement', {
+  builder: ['argument'],
+  fields: { argument: 'Pattern' },
+});
+
+defineType('AssignmentPattern', {
+  builder: ['left', 'right'],
+  fields: { left: 'Pattern', right: 'Expression' },
+});
+
+// 类
+
+defineType('ClassDeclaration', {
+  builder: ['id', 'superClass', 'body'],
+  fields: { id: 'Identifier?', superClass: 'Expression?', body: 'ClassBody' },
+});
+
+defineType('ClassExpression', {
+  builder: ['id', 'superClass', 'body'],
+  fields: { id: 'Identifier?', superClass: 'Expression?', body: 'ClassBody' },
+});
+
+defineType('ClassBody', {
+  builder: ['body'],
+  fields: { body: '[MethodDefinition]' },
+});
+
+defineType('MethodDefinition', {
+  builder: ['kind', 'key', 'value', 'computed', 'static'],
+  fields: {
+    kind: '"constructor"|"method"|"get"|"set"',
+    key: 'Expression',
+    value: 'FunctionExpression',
+    computed: ['boolean', false],
+    static: ['boolean', false],
+  },
+});
+
+// 模块
+
+defineType('ImportDeclaration', {
+  builder: ['specifiers', 'source'],
+  fields: {
+    specifiers: '[ImportSpecifier|ImportDefaultSpecifier|ImportNamespaceSpecifier]',
+    source: 'Literal',
+  },
+});
+
+defineType('ImportSpecifier', {
+  builder: ['imported', 'local'],
+  fields: { imported: 'Identifier', local: 'Identifier' },
+});
+
+defineType('ImportDefaultSpecifier', {
+  builder: ['local'],
+  fields: { local: 'Identifier' },
+});
+
+defineType('ImportNamespaceSpecifier', {
+  builder: ['local'],
+  fields: { local: 'Identifier' },
+});
+
+defineType('ExportNamedDeclaration', {
+  builder: ['declaration', 'specifiers', 'source'],
+  fields: {
+    declaration: 'Declaration?',
+    specifiers: ['[ExportSpecifier]', () => []],
+    source: 'Literal?',
+  },
+});
+
+defineType('ExportSpecifier', {
+  builder: ['local', 'exported'],
+  fields: { local: 'Identifier', exported: 'Identifier' },
+});
+
+defineType('ExportDefaultDeclaration', {
+  builder: ['declaration'],
+  fields: { declaration: 'Declaration|Expression' },
+});
+
+defineType('ExportAllDeclaration', {
+  builder: ['source'],
+  fields: { source: 'Literal', exported: 'Identifier?' },
+});
+
+module.exports = {
+  DEFINITIONS,
+};
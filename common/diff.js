@@ -0,0 +1,328 @@
+const astring = require('astring');
+
+/**
+ * @typedef {Object} Change
+ * @property {('replace' | 'insert' | 'remove')} type
+ * @property {Array<string | number>} path 相对根节点的路径，数组下标是按顺序应用前面的修改之后的下标
+ * @property {*} oldValue
+ * @property {*} newValue
+ * @property {Object | null} oldNode 旧 AST 中包含该修改的最近节点
+ * @property {Object | null} newNode 新 AST 中包含该修改的最近节点
+ */
+
+// 默认忽略的位置信息
+const POSITION_KEYS = ['start', 'end', 'loc', 'range'];
+
+const isNode = value =>
+  Boolean(value) && typeof value === 'object' && typeof value.type === 'string';
+
+const isObject = value =>
+  Boolean(value) && typeof value === 'object' && !(value instanceof RegExp);
+
+/**
+ * 生成忽略位置信息的结构指纹，用于判断两个子树是否相同
+ */
+const createFingerprint = ignore => {
+  const cache = new WeakMap();
+  const fingerprint = value => {
+    if (value instanceof RegExp) return `/${value.source}/${value.flags}`;
+    if (typeof value === 'bigint') return `${value}n`;
+    if (!isObject(value)) return JSON.stringify(value) || String(value);
+    if (cache.has(value)) return cache.get(value);
+
+    let result;
+    if (Array.isArray(value)) {
+      result = `[${value.map(fingerprint).join(',')}]`;
+    } else {
+      const keys = Object.keys(value).filter(key => !ignore.includes(key) && value[key] !== undefined).sort();
+      result = `{${keys.map(key => `${key}:${fingerprint(value[key])}`).join(',')}}`;
+    }
+    cache.set(value, result);
+    return result;
+  };
+  return fingerprint;
+};
+
+/**
+ * 最长公共子序列，返回两边匹配上的下标对
+ * @returns {Array<[number, number]>}
+ */
+const lcs = (left, right) => {
+  const table = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      table[i][j] = left[i] === right[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (left[i] === right[j]) {
+      pairs.push([i++, j++]);
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+};
+
+/**
+ * 并行遍历两棵 AST，找出最少的修改
+ * @param {Object} oldAst
+ * @param {Object} newAst
+ * @param {{ ignore?: string[] }} options ignore 为比较时忽略的字段，默认忽略位置信息
+ * @returns {Change[]}
+ */
+function diff(oldAst, newAst, options = {}) {
+  const ignore = options.ignore || POSITION_KEYS;
+  const fingerprint = createFingerprint(ignore);
+  const changes = [];
+
+  const push = (type, path, oldValue, newValue, oldNode, newNode) => {
+    changes.push({ type, path: [...path], oldValue, newValue, oldNode, newNode });
+  };
+
+  const walk = (oldValue, newValue, path, oldNode, newNode) => {
+    if (fingerprint(oldValue) === fingerprint(newValue)) return;
+
+    if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+      walkList(oldValue, newValue, path, oldNode, newNode);
+      return;
+    }
+
+    const sameNodeType = isNode(oldValue) && isNode(newValue) && oldValue.type === newValue.type;
+    const plainObjects = isObject(oldValue) && isObject(newValue) && !isNode(oldValue) && !isNode(newValue)
+      && !Array.isArray(oldValue) && !Array.isArray(newValue);
+    if (!sameNodeType && !plainObjects) {
+      push('replace', path, oldValue, newValue, isNode(oldValue) ? oldValue : oldNode, isNode(newValue) ? newValue : newNode);
+      return;
+    }
+
+    const nextOldNode = isNode(oldValue) ? oldValue : oldNode;
+    const nextNewNode = isNode(newValue) ? newValue : newNode;
+    const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+    for (const key of keys) {
+      if (ignore.includes(key)) continue;
+      walk(oldValue[key], newValue[key], [...path, key], nextOldNode, nextNewNode);
+    }
+  };
+
+  // 用 LCS 对齐数组，两个匹配点之间的元素两两配对递归比较，多出来的记为插入或删除
+  const walkList = (oldList, newList, path, oldNode, newNode) => {
+    const pairs = lcs(oldList.map(fingerprint), newList.map(fingerprint));
+    pairs.push([oldList.length, newList.length]);
+
+    let i = 0;
+    let j = 0;
+    let index = 0;
+    for (const [nextI, nextJ] of pairs) {
+      while (i < nextI && j < nextJ) {
+        walk(oldList[i++], newList[j++], [...path, index++], oldNode, newNode);
+      }
+      while (i < nextI) {
+        const removed = oldList[i++];
+        push('remove', [...path, index], removed, undefined, isNode(removed) ? removed : oldNode, newNode);
+      }
+      while (j < nextJ) {
+        const inserted = newList[j++];
+        push('insert', [...path, index++], undefined, inserted, oldNode, isNode(inserted) ? inserted : newNode);
+      }
+      // 跳过匹配上的元素
+      i++;
+      j++;
+      index++;
+    }
+  };
+
+  walk(oldAst, newAst, [], null, null);
+  return changes;
+}
+
+const formatPath = path =>
+  path.reduce((result, key) =>
+    (typeof key === 'number' ? `${result}[${key}]` : result ? `${result}.${key}` : key), '');
+
+/**
+ * 把修改应用到另一棵 AST 上，返回新的 AST，只复制修改路径上的节点
+ * 被删除或替换的值与 change.oldValue 结构不同时抛出错误
+ * @param {Object} ast
+ * @param {Change[]} changes
+ * @param {{ ignore?: string[] }} options
+ * @returns {Object}
+ */
+function patch(ast, changes, options = {}) {
+  const fingerprint = createFingerprint(options.ignore || POSITION_KEYS);
+
+  const conflict = (change, message) =>
+    new Error(`Patch conflict at ${formatPath(change.path) || 'root'}: ${message}`);
+
+  const apply = (value, path, change) => {
+    if (!path.length) {
+      if (fingerprint(value) !== fingerprint(change.oldValue)) {
+        throw conflict(change, 'value does not match');
+      }
+      return change.newValue;
+    }
+
+    const [key, ...rest] = path;
+    if (!isObject(value)) {
+      throw conflict(change, `cannot read ${key} of ${value}`);
+    }
+    const copy = Array.isArray(value) ? value.slice() : { ...value };
+
+    if (rest.length || change.type === 'replace') {
+      if (rest.length && !(key in copy)) {
+        throw conflict(change, `missing ${key}`);
+      }
+      const next = apply(copy[key], rest, change);
+      if (next === undefined && !Array.isArray(copy)) {
+        delete copy[key];
+      } else {
+        copy[key] = next;
+      }
+    } else if (change.type === 'insert') {
+      if (key > copy.length) throw conflict(change, `index ${key} out of range`);
+      copy.splice(key, 0, change.newValue);
+    } else {
+      if (fingerprint(copy[key]) !== fingerprint(change.oldValue)) {
+        throw conflict(change, 'removed value does not match');
+      }
+      copy.splice(key, 1);
+    }
+    return copy;
+  };
+
+  return changes.reduce((root, change) => apply(root, change.path, change), ast);
+}
+
+const toCode = value => {
+  if (isNode(value)) {
+    try {
+      return astring.generate(value).trim();
+    } catch (error) {
+      return `<${value.type}>`;
+    }
+  }
+  if (value instanceof RegExp) return String(value);
+  return value === undefined ? 'undefined' : JSON.stringify(value);
+};
+
+const formatLocation = node => {
+  if (!node) return '?';
+  if (node.loc) return `${node.loc.start.line}:${node.loc.start.column}`;
+  if (typeof node.start === 'number') return `${node.start}-${node.end}`;
+  return '?';
+};
+
+const prefixLines = (prefix, code) =>
+  code.split('\n').map(line => `${prefix} ${line}`).join('\n');
+
+/**
+ * 把修改列表渲染成可读的代码级 diff
+ * 每项修改显示旧代码中的位置、路径以及前后的代码
+ * @param {Change[]} changes
+ * @returns {string}
+ */
+function formatDiff(changes) {
+  return changes.map(change => {
+    const header = `@@ ${formatLocation(change.oldNode)} -> ${formatLocation(change.newNode)} ${formatPath(change.path)} @@`;
+    const lines = [header];
+    if (change.type !== 'insert') lines.push(prefixLines('-', toCode(change.oldValue)));
+    if (change.type !== 'remove') lines.push(prefixLines('+', toCode(change.newValue)));
+    return lines.join('\n');
+  }).join('\n');
+}
+
+const splitLines = text => {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+/**
+ * 逐行比较两段文本，返回每一行的操作，' ' 为不变，'-' 为删除，'+' 为插入
+ * 先去掉相同的开头和结尾，只对中间部分做 LCS
+ * @returns {Array<{ op: string, line: string }>}
+ */
+const diffLines = (oldLines, newLines) => {
+  let head = 0;
+  while (head < oldLines.length && head < newLines.length && oldLines[head] === newLines[head]) head++;
+  let tail = 0;
+  while (tail < oldLines.length - head && tail < newLines.length - head
+    && oldLines[oldLines.length - 1 - tail] === newLines[newLines.length - 1 - tail]) tail++;
+
+  const oldMiddle = oldLines.slice(head, oldLines.length - tail);
+  const newMiddle = newLines.slice(head, newLines.length - tail);
+  const ops = oldLines.slice(0, head).map(line => ({ op: ' ', line }));
+
+  let i = 0;
+  let j = 0;
+  for (const [nextI, nextJ] of [...lcs(oldMiddle, newMiddle), [oldMiddle.length, newMiddle.length]]) {
+    while (i < nextI) ops.push({ op: '-', line: oldMiddle[i++] });
+    while (j < nextJ) ops.push({ op: '+', line: newMiddle[j++] });
+    if (i < oldMiddle.length) ops.push({ op: ' ', line: oldMiddle[i] });
+    i++;
+    j++;
+  }
+  return ops.concat(oldLines.slice(oldLines.length - tail).map(line => ({ op: ' ', line })));
+};
+
+/**
+ * 生成 unified diff 格式的文本差异，没有差异时返回空字符串
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {{ oldFile?: string, newFile?: string, context?: number }} options context 为每处修改前后保留的行数
+ * @returns {string}
+ */
+function formatUnifiedDiff(oldText, newText, options = {}) {
+  const { oldFile = 'a', newFile = 'b', context = 3 } = options;
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  // 把相距不超过 2 * context 的修改合并到同一个 hunk 中
+  const ranges = [];
+  ops.forEach(({ op }, index) => {
+    if (op === ' ') return;
+    const last = ranges[ranges.length - 1];
+    if (last && index - last[1] <= 2 * context + 1) {
+      last[1] = index;
+    } else {
+      ranges.push([index, index]);
+    }
+  });
+  if (!ranges.length) return '';
+
+  // 每个操作之前的旧行数和新行数
+  const counts = [[0, 0]];
+  ops.forEach(({ op }, index) => {
+    const [oldCount, newCount] = counts[index];
+    counts.push([oldCount + (op === '+' ? 0 : 1), newCount + (op === '-' ? 0 : 1)]);
+  });
+
+  const lines = [`--- ${oldFile}`, `+++ ${newFile}`];
+  for (const [first, last] of ranges) {
+    const start = Math.max(0, first - context);
+    const end = Math.min(ops.length, last + context + 1);
+    const oldCount = counts[end][0] - counts[start][0];
+    const newCount = counts[end][1] - counts[start][1];
+    // 没有行时，起始行号是前一行
+    const oldStart = counts[start][0] + (oldCount ? 1 : 0);
+    const newStart = counts[start][1] + (newCount ? 1 : 0);
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    ops.slice(start, end).forEach(({ op, line }) => lines.push(`${op}${line}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  diff,
+  patch,
+  formatDiff,
+  formatUnifiedDiff,
+  formatPath,
+};
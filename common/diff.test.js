@@ -0,0 +1,95 @@
+const acorn = require('acorn');
+const astring = require('astring');
+const { diff, patch, formatDiff, formatUnifiedDiff, formatPath } = require('./diff');
+const test = require('ava');
+
+const parse = code => acorn.parse(code, { ecmaVersion: 2020, locations: true });
+
+test('相同结构忽略位置信息', t => {
+  t.deepEqual(diff(parse('a + b;'), parse('a   +\n  b;')), []);
+});
+
+test('最小修改 - 字段更新', t => {
+  const changes = diff(parse('var foo = foo + 1;'), parse('var bar = foo + 1;'));
+  t.is(changes.length, 1);
+  const [change] = changes;
+  t.is(change.type, 'replace');
+  t.is(formatPath(change.path), 'body[0].declarations[0].id.name');
+  t.is(change.oldValue, 'foo');
+  t.is(change.newValue, 'bar');
+  t.is(change.oldNode.type, 'Identifier');
+  t.deepEqual({ ...change.oldNode.loc.start }, { line: 1, column: 4 });
+});
+
+test('最小修改 - 数组插入与删除', t => {
+  const changes = diff(parse('a; b; c; d;'), parse('a; x; c; d; e;'));
+  t.deepEqual(
+    changes.map(change => [change.type, formatPath(change.path)]),
+    [['replace', 'body[1].expression.name'], ['insert', 'body[4]']],
+  );
+  const removed = diff(parse('a; b; c;'), parse('a; c;'));
+  t.deepEqual(removed.map(change => [change.type, formatPath(change.path)]), [['remove', 'body[1]']]);
+});
+
+test('节点类型不同时整体替换', t => {
+  const [change] = diff(parse('f(a + 1);'), parse('f(g());'));
+  t.is(change.type, 'replace');
+  t.is(formatPath(change.path), 'body[0].expression.arguments[0]');
+  t.is(change.newValue.type, 'CallExpression');
+});
+
+test('formatDiff 渲染代码级 diff', t => {
+  const output = formatDiff(diff(parse('a;\nfoo(1);'), parse('a;\nfoo(2, 3);')));
+  t.is(output, [
+    '@@ 2:4 -> 2:4 body[1].expression.arguments[0].value @@',
+    '- 1',
+    '+ 2',
+    '@@ 2:4 -> 2:4 body[1].expression.arguments[0].raw @@',
+    '- "1"',
+    '+ "2"',
+    '@@ 2:0 -> 2:7 body[1].expression.arguments[1] @@',
+    '+ 3',
+  ].join('\n'));
+});
+
+test('patch 应用到第三棵 AST', t => {
+  const changes = diff(parse('a; b; c;'), parse('a; x; c; d;'));
+  const target = parse('a;\n\n  b;    c;');
+  const result = patch(target, changes);
+  t.is(astring.generate(result), 'a;\nx;\nc;\nd;\n');
+  // 不修改原 AST，未修改的节点共享
+  t.is(target.body[1].expression.name, 'b');
+  t.is(result.body[0], target.body[0]);
+});
+
+test('patch 检测冲突', t => {
+  const changes = diff(parse('a; b;'), parse('a; x;'));
+  t.throws(() => patch(parse('a; y;'), changes), { message: /Patch conflict at body\[1\].expression.name/ });
+  t.throws(() => patch(parse('a;'), changes), { message: /missing 1/ });
+});
+
+test('formatUnifiedDiff 生成文本的 unified diff', t => {
+  const oldText = `${Array.from({ length: 12 }, (_, i) => `line${i}`).join('\n')}\n`;
+  const newText = oldText.replace('line1\n', 'LINE1\n').replace('line11\n', 'line11\nextra\n');
+  t.is(formatUnifiedDiff(oldText, newText, { oldFile: 'a/x.js', newFile: 'b/x.js' }), [
+    '--- a/x.js',
+    '+++ b/x.js',
+    '@@ -1,5 +1,5 @@',
+    ' line0',
+    '-line1',
+    '+LINE1',
+    ' line2',
+    ' line3',
+    ' line4',
+    '@@ -10,3 +10,4 @@',
+    ' line9',
+    ' line10',
+    ' line11',
+    '+extra',
+    '',
+  ].join('\n'));
+
+  // 相距较近的修改合并成一个 hunk
+  t.is(formatUnifiedDiff('a\nb\nc\n', 'A\nb\nC\n', { context: 1 }), '--- a\n+++ b\n@@ -1,3 +1,3 @@\n-a\n+A\n b\n-c\n+C\n');
+  t.is(formatUnifiedDiff('a\n', 'a\n'), '');
+});
@@ -0,0 +1,310 @@
+const acorn = require('acorn');
+const traverse = require('./traverse');
+const { analyze, getPatternIdentifiers } = require('./scope');
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {('unused-variable' | 'unused-parameter' | 'undeclared-global' | 'const-assignment' | 'use-before-declare')} rule
+ * @property {('error' | 'warning')} severity
+ * @property {string} message
+ * @property {string} name 相关的变量名
+ * @property {number} start
+ * @property {number} end
+ * @property {{ start: { line: number, column: number }, end: { line: number, column: number } }} loc
+ */
+
+// ECMAScript 内置的全局变量，以及常见宿主环境都有的 console
+const BUILTIN_GLOBALS = new Set([
+  'globalThis', 'Infinity', 'NaN', 'undefined', 'eval', 'isFinite', 'isNaN', 'parseFloat', 'parseInt',
+  'decodeURI', 'decodeURIComponent', 'encodeURI', 'encodeURIComponent', 'escape', 'unescape',
+  'Object', 'Function', 'Boolean', 'Symbol', 'Error', 'AggregateError', 'EvalError', 'RangeError',
+  'ReferenceError', 'SyntaxError', 'TypeError', 'URIError', 'Number', 'BigInt', 'Math', 'Date',
+  'String', 'RegExp', 'Array', 'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array',
+  'Uint16Array', 'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array',
+  'BigUint64Array', 'Map', 'Set', 'WeakMap', 'WeakSet', 'WeakRef', 'FinalizationRegistry',
+  'ArrayBuffer', 'SharedArrayBuffer', 'Atomics', 'DataView', 'JSON', 'Promise', 'Proxy', 'Reflect',
+  'Intl', 'console',
+]);
+
+const SEVERITIES = {
+  'unused-variable': 'warning',
+  'unused-parameter': 'warning',
+  'undeclared-global': 'error',
+  'const-assignment': 'error',
+  'use-before-declare': 'error',
+};
+
+const createDiagnostic = (rule, message, identifier) => ({
+  rule,
+  severity: SEVERITIES[rule],
+  message,
+  name: identifier.name,
+  start: identifier.start,
+  end: identifier.end,
+  loc: {
+    start: { line: identifier.loc.start.line, column: identifier.loc.start.column },
+    end: { line: identifier.loc.end.line, column: identifier.loc.end.column },
+  },
+});
+
+const parse = (code, sourceType) =>
+  acorn.parse(code, { ecmaVersion: 'latest', sourceType, locations: true });
+
+/**
+ * 节点到 NodePath 的映射，用于向上查找声明语句
+ */
+const indexPaths = root => {
+  const paths = new Map();
+  traverse.visit(root, {
+    enter(path) {
+      paths.set(path.node, path);
+    },
+  });
+  return paths;
+};
+
+/**
+ * 声明的 Identifier 所在的声明：VariableDeclarator、函数、类、import 或者参数本身
+ */
+const findDeclaration = (paths, identifier) => {
+  for (let path = paths.get(identifier); path; path = path.parentPath) {
+    if (['VariableDeclarator', 'FunctionDeclaration', 'ClassDeclaration', 'ImportDeclaration'].includes(path.type)
+      || path.parentKey === 'params') {
+      return path;
+    }
+  }
+  return null;
+};
+
+/**
+ * export 的声明对外可见，不算未使用
+ */
+const isExported = path => {
+  const statement = path && path.type === 'VariableDeclarator' ? path.parentPath : path;
+  return Boolean(statement && statement.parentPath)
+    && ['ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(statement.parent.type);
+};
+
+/**
+ * 函数表达式、类表达式的名字只在内部可见，不使用也不算问题
+ */
+const isExpressionName = (paths, identifier) => {
+  const { parent, parentKey } = paths.get(identifier);
+  return parentKey === 'id' && ['FunctionExpression', 'ClassExpression'].includes(parent.type);
+};
+
+// 引用中只读取的才算使用，单纯赋值不算
+const isUsed = binding => binding.references.some(reference => reference.isRead());
+
+/**
+ * 检查未使用的变量和参数、未声明的全局变量、给 const 赋值以及在 let / const / class 声明之前使用
+ * 参数只报告最后一个被使用的参数之后的参数，名字匹配 ignorePattern 的变量和参数不报告
+ * @param {string} code
+ * @param {Object} options
+ * @param {'script' | 'module'} [options.sourceType]
+ * @param {string[]} [options.globals] 额外允许的全局变量
+ * @param {RegExp} [options.ignorePattern] 默认忽略以 _ 开头的名字
+ * @returns {Diagnostic[]} 按位置排序
+ */
+function lint(code, options = {}) {
+  const { sourceType = 'script', globals = [], ignorePattern = /^_/ } = options;
+  const root = parse(code, sourceType);
+  const manager = analyze(root);
+  const paths = indexPaths(root);
+  const knownGlobals = new Set([...BUILTIN_GLOBALS, ...globals]);
+  const diagnostics = [];
+
+  for (const scope of manager.scopes) {
+    for (const binding of scope.bindings.values()) {
+      const { identifier, name, kind } = binding;
+      if (!identifier || ignorePattern.test(name)) continue;
+
+      if (kind === 'param') {
+        if (isUsed(binding)) continue;
+        // 只报告最后一个被使用的参数之后的参数
+        const paramPath = findDeclaration(paths, identifier);
+        const laterUsed = paramPath.parent.params.slice(paramPath.index + 1).some(param =>
+          getPatternIdentifiers(param).some(id => isUsed(manager.getBinding(id))));
+        if (!laterUsed) {
+          diagnostics.push(createDiagnostic('unused-parameter', `'${name}' is defined but never used`, identifier));
+        }
+        continue;
+      }
+
+      if (['var', 'let', 'const', 'function', 'class', 'import'].includes(kind) && !isUsed(binding)) {
+        const declaration = findDeclaration(paths, identifier);
+        if (!isExported(declaration) && !isExpressionName(paths, identifier)) {
+          const assigned = binding.references.some(reference => reference.isWrite() && !reference.init);
+          const message = assigned
+            ? `'${name}' is assigned a value but never used`
+            : `'${name}' is declared but never used`;
+          diagnostics.push(createDiagnostic('unused-variable', message, identifier));
+        }
+      }
+
+      for (const reference of binding.references) {
+        if (['const', 'import'].includes(kind) && reference.isWrite() && !reference.init) {
+          diagnostics.push(createDiagnostic('const-assignment', `'${name}' is constant`, reference.identifier));
+        }
+      }
+
+      if (['let', 'const', 'class'].includes(kind)) {
+        // 同一个函数中在声明完成之前的引用处于暂时性死区
+        const declaration = findDeclaration(paths, identifier);
+        const declaredAt = declaration && declaration.type === 'VariableDeclarator' ? declaration.node.end : identifier.start;
+        for (const reference of binding.references) {
+          if (reference.init || reference.identifier.start >= declaredAt) continue;
+          if (reference.from.variableScope !== scope.variableScope) continue;
+          diagnostics.push(createDiagnostic('use-before-declare', `'${name}' is used before it is declared`, reference.identifier));
+        }
+      }
+    }
+  }
+
+  for (const reference of manager.globalScope.through) {
+    if (knownGlobals.has(reference.name)) continue;
+    // typeof 可以安全地检查未声明的变量
+    const { parent } = paths.get(reference.identifier);
+    if (parent && parent.type === 'UnaryExpression' && parent.operator === 'typeof') continue;
+    diagnostics.push(createDiagnostic('undeclared-global', `'${reference.name}' is not defined`, reference.identifier));
+  }
+
+  return diagnostics.sort((a, b) => a.start - b.start || a.rule.localeCompare(b.rule));
+}
+
+// 未被遮蔽时值固定的全局变量
+const GLOBAL_CONSTANTS = new Set(['undefined', 'NaN', 'Infinity']);
+
+/**
+ * 读取变量不会抛出 ReferenceError：变量已经声明，let / const / class 需要在读取之前声明
+ */
+const isSafeRead = (identifier, manager) => {
+  const binding = manager.getBinding(identifier);
+  if (!binding) return GLOBAL_CONSTANTS.has(identifier.name);
+  if (!['let', 'const', 'class'].includes(binding.kind)) return true;
+  return Boolean(binding.identifier) && binding.identifier.end <= identifier.start;
+};
+
+/**
+ * 删除之后不会改变程序行为的初始值
+ */
+const isPure = (node, manager) => {
+  if (!node) return true;
+  const pure = child => isPure(child, manager);
+  switch (node.type) {
+    case 'Literal':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return true;
+    case 'Identifier':
+      return isSafeRead(node, manager);
+    case 'TemplateLiteral':
+      return node.expressions.every(pure);
+    case 'ArrayExpression':
+      return node.elements.every(element => !element || (element.type !== 'SpreadElement' && pure(element)));
+    case 'ObjectExpression':
+      return node.properties.every(property =>
+        property.type === 'Property' && !property.computed && pure(property.value));
+    case 'UnaryExpression':
+      return node.operator !== 'delete' && pure(node.argument);
+    default:
+      return false;
+  }
+};
+
+/**
+ * 类声明没有继承、计算属性名和静态成员时，删除它没有副作用
+ */
+const isPureClass = node =>
+  !node.superClass && node.body.body.every(member => !member.computed && !member.static);
+
+/**
+ * 删除一个节点对应的代码，整行只剩空白时连同换行一起删除
+ * @returns {{ start: number, end: number, text: string }}
+ */
+const removeRange = (code, start, end) => {
+  let lineStart = start;
+  while (lineStart > 0 && /[ \t]/.test(code[lineStart - 1])) lineStart--;
+  let lineEnd = end;
+  while (lineEnd < code.length && /[ \t]/.test(code[lineEnd])) lineEnd++;
+  const ownLine = (lineStart === 0 || code[lineStart - 1] === '\n')
+    && (lineEnd === code.length || code[lineEnd] === '\n');
+  if (ownLine) return { start: lineStart, end: Math.min(lineEnd + 1, code.length), text: '' };
+  return { start, end, text: '' };
+};
+
+/**
+ * 生成删除未使用声明的文本修改，有副作用的声明不删除
+ */
+const createRemoval = (code, paths, manager, identifier) => {
+  const { parent, type, node } = paths.get(identifier).parentPath;
+  const statementPath = paths.get(identifier).parentPath;
+
+  if (type === 'FunctionDeclaration' || (type === 'ClassDeclaration' && isPureClass(node))) {
+    if (!statementPath.inList) return null;
+    return removeRange(code, node.start, node.end);
+  }
+  if (type !== 'VariableDeclarator' || node.id !== identifier || !isPure(node.init, manager)) return null;
+
+  const declarationPath = statementPath.parentPath;
+  const { declarations } = declarationPath.node;
+  if (declarations.length === 1) {
+    // for (var i in ...) 等位置不能删除整个声明
+    if (!declarationPath.inList) return null;
+    return removeRange(code, parent.start, parent.end);
+  }
+  const index = declarations.indexOf(node);
+  return index < declarations.length - 1
+    ? { start: node.start, end: declarations[index + 1].start, text: '' }
+    : { start: declarations[index - 1].end, end: node.end, text: '' };
+};
+
+/**
+ * 删除未使用的变量、函数和类声明，删除后变成未使用的声明会继续删除
+ * 参数、解构、导入、还有赋值的变量以及初始值有副作用的声明不会删除
+ * @param {string} code
+ * @param {Object} options 同 lint
+ * @returns {{ code: string, fixed: Diagnostic[], diagnostics: Diagnostic[] }}
+ *   fixed 为已删除的声明对应的诊断，位置对应删除时的代码；diagnostics 为修复后剩余的诊断
+ */
+function fix(code, options = {}) {
+  const fixed = [];
+  let output = code;
+  // 每轮都可能让新的声明变成未使用，直到没有可删除的声明为止
+  for (;;) {
+    const diagnostics = lint(output, options);
+    const root = parse(output, options.sourceType || 'script');
+    const manager = analyze(root);
+    const paths = indexPaths(root);
+    const identifiers = new Map();
+    for (const node of paths.keys()) {
+      if (node.type === 'Identifier') identifiers.set(node.start, node);
+    }
+
+    const edits = [];
+    for (const diagnostic of diagnostics) {
+      if (diagnostic.rule !== 'unused-variable') continue;
+      const identifier = identifiers.get(diagnostic.start);
+      const binding = manager.getBinding(identifier);
+      // 还有赋值或者重复声明时，删除声明会让赋值变成全局变量
+      if (binding.identifiers.length > 1 || binding.references.some(reference => !reference.init)) continue;
+      const edit = createRemoval(output, paths, manager, identifier);
+      if (!edit) continue;
+      // 同一个声明语句中的多个声明一轮只删一个，避免修改重叠
+      if (edits.some(other => other.start < edit.end && edit.start < other.end)) continue;
+      edits.push(edit);
+      fixed.push(diagnostic);
+    }
+    if (!edits.length) return { code: output, fixed, diagnostics };
+
+    output = edits
+      .sort((a, b) => b.start - a.start)
+      .reduce((result, { start, end, text }) => result.slice(0, start) + text + result.slice(end), output);
+  }
+}
+
+module.exports = {
+  lint,
+  fix,
+  BUILTIN_GLOBALS,
+};
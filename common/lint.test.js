@@ -0,0 +1,102 @@
+const { lint, fix } = require('./lint');
+const test = require('ava');
+
+const summarize = diagnostics =>
+  diagnostics.map(({ rule, name, loc }) => `${loc.start.line}:${loc.start.column} ${rule} ${name}`);
+
+test('未使用的变量和参数', t => {
+  const diagnostics = lint(`
+var unused = 1, used = 2;
+let assigned;
+assigned = 3;
+function f(a, b, c) { return b; }
+function g(_a, _b) {}
+(function named() {})();
+try {} catch (e) {}
+export const exported = 1;
+export function helper() {}
+import { imported } from 'x';
+f(used);
+`, { sourceType: 'module' });
+  t.deepEqual(summarize(diagnostics), [
+    '2:4 unused-variable unused',
+    '3:4 unused-variable assigned',
+    '5:17 unused-parameter c',
+    '6:9 unused-variable g',
+    '11:9 unused-variable imported',
+  ]);
+  t.is(diagnostics[1].message, "'assigned' is assigned a value but never used");
+  t.is(diagnostics[2].severity, 'warning');
+});
+
+test('未声明的全局变量', t => {
+  const diagnostics = lint('console.log(Math.max(a, window), typeof maybe); implicit = 1;', { globals: ['window'] });
+  t.deepEqual(summarize(diagnostics), ['1:21 undeclared-global a', '1:48 undeclared-global implicit']);
+  t.is(diagnostics[0].message, "'a' is not defined");
+  t.is(diagnostics[0].severity, 'error');
+});
+
+test('给 const 赋值', t => {
+  const diagnostics = lint('const a = 1; a = 2; a++; [a] = [3]; for (const b of [1]) { b; }');
+  t.deepEqual(summarize(diagnostics).filter(line => line.includes('const-assignment')), [
+    '1:13 const-assignment a',
+    '1:20 const-assignment a',
+    '1:26 const-assignment a',
+  ]);
+});
+
+test('暂时性死区', t => {
+  const diagnostics = lint(`
+{ x; let x = 1; }
+let y = y + 1;
+function later() { return z; }
+let z = later();
+new A();
+class A {}
+`);
+  t.deepEqual(summarize(diagnostics), [
+    '2:2 use-before-declare x',
+    '3:8 use-before-declare y',
+    '6:4 use-before-declare A',
+  ]);
+});
+
+test('fix 删除未使用的声明', t => {
+  const result = fix(`var a = 1, b = 2, c = [a];
+let unused;
+function helper() {}
+const chained = 1;
+const user = chained;
+let kept = sideEffect();
+let assigned = 1;
+assigned = 2;
+class Base {}
+class Child extends Base {}
+for (var i in {}) {}
+console.log(b);
+`, { globals: ['sideEffect'] });
+  t.is(result.code, `var b = 2;
+let kept = sideEffect();
+let assigned = 1;
+assigned = 2;
+class Base {}
+class Child extends Base {}
+for (var i in {}) {}
+console.log(b);
+`);
+  t.deepEqual(result.fixed.map(({ name }) => name).sort(), ['a', 'c', 'chained', 'helper', 'unused', 'user']);
+  t.deepEqual(summarize(result.diagnostics), [
+    '2:4 unused-variable kept',
+    '3:4 unused-variable assigned',
+    '6:6 unused-variable Child',
+    '7:9 unused-variable i',
+  ]);
+});
+
+test('fix 不删除读取未声明变量的声明', t => {
+  // 原代码会抛出 ReferenceError，删除后行为不同
+  t.is(fix('var z = missing;').code, 'var z = missing;');
+  t.is(fix('let z = later;\nlet later = 1;\nlater;').code, 'let z = later;\nlet later = 1;\nlater;');
+  t.is(fix('var a = 1;\nvar b = [a, undefined, NaN];').code, '');
+  t.is(fix('var a = 1;\nconsole.log([, a]);').code, 'var a = 1;\nconsole.log([, a]);');
+});
@@ -0,0 +1,274 @@
+/**
+ * 遍历时传给 visitor 的节点包装，记录节点在父节点中的位置，
+ * 并提供替换、删除、插入等操作
+ */
+class NodePath {
+  /**
+   * @param {Object} context 遍历上下文，记录 root，immutable 模式下记录复制过的节点
+   * @param {Object} node 当前节点
+   * @param {NodePath | null} parentPath 父节点的 path
+   * @param {string | null} parentKey 当前节点在父节点上的属性名
+   * @param {number | null} index 在数组中的下标，不在数组中时为 null
+   */
+  constructor(context, node, parentPath = null, parentKey = null, index = null) {
+    this.context = context;
+    this.node = node;
+    this.parentPath = parentPath;
+    this.parentKey = parentKey;
+    this.index = index;
+    this.removed = false;
+    this.shouldSkip = false;
+    // 节点被 replaceWith 替换过，遍历时据此重新访问新节点
+    this._replaced = false;
+    // 子节点中位于数组里的 path，数组变化时用来修正它们的下标
+    this._lists = {};
+  }
+
+  get type() {
+    return this.node && this.node.type;
+  }
+
+  get parent() {
+    return this.parentPath ? this.parentPath.node : null;
+  }
+
+  /**
+   * 节点位于数组中时为数组所在的属性名，否则为 null
+   */
+  get listKey() {
+    return this.inList ? this.parentKey : null;
+  }
+
+  get inList() {
+    return this.index !== null;
+  }
+
+  /**
+   * 节点所在的容器：数组或父节点本身
+   */
+  get container() {
+    if (!this.parentPath) return null;
+    return this.inList ? this.parent[this.parentKey] : this.parent;
+  }
+
+  /**
+   * 为子节点创建 path
+   * @param {string} key
+   * @param {number | null} index
+   * @returns {NodePath}
+   */
+  _child(key, index = null) {
+    const node = index === null ? this.node[key] : this.node[key][index];
+    const path = new NodePath(this.context, node, this, key, index);
+    if (index !== null) {
+      this._lists[key] = this._lists[key] || new Set();
+      this._lists[key].add(path);
+    }
+    return path;
+  }
+
+  /**
+   * immutable 模式下，修改节点前先复制它以及到根节点路径上的所有祖先，
+   * 其余子树与原 AST 共享；普通模式下直接返回当前节点
+   * @returns {Object} 可以修改的节点
+   */
+  _ensureCopy() {
+    const { context, node } = this;
+    if (!context.immutable || context.copies.has(node)) return node;
+
+    const copy = { ...node };
+    context.copies.add(copy);
+    if (context.visited.has(node)) context.visited.add(copy);
+    this._write(copy);
+    this.node = copy;
+    return copy;
+  }
+
+  /**
+   * 获取可以修改的子节点数组
+   * @param {string} key
+   * @returns {Object[]}
+   */
+  _ensureList(key) {
+    const node = this._ensureCopy();
+    const { context } = this;
+    if (context.immutable && !context.copies.has(node[key])) {
+      node[key] = node[key].slice();
+      context.copies.add(node[key]);
+    }
+    return node[key];
+  }
+
+  /**
+   * 把节点写回所在的位置
+   * @param {Object | null} node
+   */
+  _write(node) {
+    if (!this.parentPath) {
+      this.context.root = node;
+    } else if (this.inList) {
+      this.parentPath._ensureList(this.parentKey)[this.index] = node;
+    } else {
+      this.parentPath._ensureCopy()[this.parentKey] = node;
+    }
+  }
+
+  _siblings() {
+    return this.parentPath._lists[this.parentKey] || new Set();
+  }
+
+  _assertNotRemoved() {
+    if (this.removed) {
+      throw new Error(`NodePath of ${this.type} has been removed`);
+    }
+  }
+
+  _assertInList(method) {
+    if (!this.inList) {
+      throw new Error(`${method} requires a node in a list, but ${this.type} is at ${this.parentKey || 'root'}`);
+    }
+  }
+
+  /**
+   * 修改所在数组，并修正其余兄弟 path 的下标
+   * @param {number} start
+   * @param {number} deleteCount
+   * @param {Object[]} nodes
+   * @returns {NodePath[]} 新插入节点的 path
+   */
+  _splice(start, deleteCount, nodes) {
+    const list = this.parentPath._ensureList(this.parentKey);
+    list.splice(start, deleteCount, ...nodes);
+
+    const delta = nodes.length - deleteCount;
+    for (const sibling of this._siblings()) {
+      if (!sibling.removed && sibling.index >= start + deleteCount) {
+        sibling.index += delta;
+      }
+    }
+
+    // 新插入的节点需要重新进入遍历队列
+    return nodes.map((node, i) => this.parentPath._child(this.parentKey, start + i).requeue());
+  }
+
+  _markRemoved() {
+    this.removed = true;
+    if (this.parentPath && this.inList) {
+      this._siblings().delete(this);
+    }
+  }
+
+  /**
+   * 用新节点替换当前节点
+   * @param {Object} node
+   * @returns {NodePath}
+   */
+  replaceWith(node) {
+    this._assertNotRemoved();
+    if (Array.isArray(node)) {
+      return this.replaceWithMultiple(node);
+    }
+    if (node === this.node) return this;
+
+    this._write(node);
+    this.node = node;
+    this._replaced = true;
+    return this.requeue();
+  }
+
+  /**
+   * 用多个节点替换当前节点，只能用于数组中的节点
+   * @param {Object[]} nodes
+   * @returns {NodePath[]}
+   */
+  replaceWithMultiple(nodes) {
+    this._assertNotRemoved();
+    if (!this.inList && nodes.length === 1) {
+      return [this.replaceWith(nodes[0])];
+    }
+    this._assertInList('replaceWithMultiple');
+
+    const { index } = this;
+    this._markRemoved();
+    return this._splice(index, 1, nodes);
+  }
+
+  /**
+   * 修改当前节点的字段，immutable 模式下只能通过这个方法修改节点
+   * @param {string} key
+   * @param {*} value
+   * @returns {NodePath}
+   */
+  set(key, value) {
+    this._assertNotRemoved();
+    this._ensureCopy()[key] = value;
+    return this;
+  }
+
+  /**
+   * 跳过当前节点的子节点以及 exit 回调
+   */
+  skip() {
+    this.shouldSkip = true;
+  }
+
+  /**
+   * 结束整个遍历
+   */
+  stop() {
+    this.context.stopped = true;
+  }
+
+  /**
+   * 把当前节点放回遍历队列，当前节点遍历结束后会被重新访问
+   * 替换和插入的节点会自动调用
+   * @returns {NodePath}
+   */
+  requeue() {
+    if (this.context.queue && this.node) {
+      this.context.visited.delete(this.node);
+      this.context.queue.push(this);
+    }
+    return this;
+  }
+
+  /**
+   * 删除当前节点，数组中的节点会被移出数组，其余位置置为 null
+   */
+  remove() {
+    this._assertNotRemoved();
+    if (this.inList) {
+      const { index } = this;
+      this._markRemoved();
+      this._splice(index, 1, []);
+    } else {
+      this._write(null);
+    }
+    this.removed = true;
+    this.node = null;
+  }
+
+  /**
+   * 在当前节点之前插入节点
+   * @param {Object | Object[]} nodes
+   * @returns {NodePath[]}
+   */
+  insertBefore(nodes) {
+    this._assertNotRemoved();
+    this._assertInList('insertBefore');
+    return this._splice(this.index, 0, [].concat(nodes));
+  }
+
+  /**
+   * 在当前节点之后插入节点
+   * @param {Object | Object[]} nodes
+   * @returns {NodePath[]}
+   */
+  insertAfter(nodes) {
+    this._assertNotRemoved();
+    this._assertInList('insertAfter');
+    return this._splice(this.index + 1, 0, [].concat(nodes));
+  }
+}
+
+module.exports = NodePath;
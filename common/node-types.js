@@ -0,0 +1,136 @@
+/**
+ * 节点类型别名，visitor 中可以用别名一次性匹配一组 ESTree 节点
+ */
+const ALIASES = {
+  Statement: [
+    'ExpressionStatement',
+    'BlockStatement',
+    'EmptyStatement',
+    'DebuggerStatement',
+    'WithStatement',
+    'ReturnStatement',
+    'LabeledStatement',
+    'BreakStatement',
+    'ContinueStatement',
+    'IfStatement',
+    'SwitchStatement',
+    'ThrowStatement',
+    'TryStatement',
+    'WhileStatement',
+    'DoWhileStatement',
+    'ForStatement',
+    'ForInStatement',
+    'ForOfStatement',
+    'FunctionDeclaration',
+    'VariableDeclaration',
+    'ClassDeclaration',
+  ],
+  Declaration: [
+    'FunctionDeclaration',
+    'VariableDeclaration',
+    'ClassDeclaration',
+  ],
+  ModuleDeclaration: [
+    'ImportDeclaration',
+    'ExportNamedDeclaration',
+    'ExportDefaultDeclaration',
+    'ExportAllDeclaration',
+  ],
+  Expression: [
+    'Identifier',
+    'Literal',
+    'ThisExpression',
+    'ArrayExpression',
+    'ObjectExpression',
+    'FunctionExpression',
+    'ArrowFunctionExpression',
+    'ClassExpression',
+    'TemplateLiteral',
+    'TaggedTemplateExpression',
+    'UnaryExpression',
+    'UpdateExpression',
+    'BinaryExpression',
+    'AssignmentExpression',
+    'LogicalExpression',
+    'MemberExpression',
+    'ConditionalExpression',
+    'CallExpression',
+    'NewExpression',
+    'SequenceExpression',
+    'YieldExpression',
+    'AwaitExpression',
+    'MetaProperty',
+    'ChainExpression',
+    'ImportExpression',
+  ],
+  Function: [
+    'FunctionDeclaration',
+    'FunctionExpression',
+    'ArrowFunctionExpression',
+  ],
+  Class: [
+    'ClassDeclaration',
+    'ClassExpression',
+  ],
+  Loop: [
+    'ForStatement',
+    'ForInStatement',
+    'ForOfStatement',
+    'WhileStatement',
+    'DoWhileStatement',
+  ],
+  Conditional: [
+    'IfStatement',
+    'ConditionalExpression',
+  ],
+  Pattern: [
+    'Identifier',
+    'MemberExpression',
+    'ObjectPattern',
+    'ArrayPattern',
+    'RestElement',
+    'AssignmentPattern',
+  ],
+  // 会产生新作用域的节点
+  Scopable: [
+    'Program',
+    'BlockStatement',
+    'CatchClause',
+    'ForStatement',
+    'ForInStatement',
+    'ForOfStatement',
+    'SwitchStatement',
+    'FunctionDeclaration',
+    'FunctionExpression',
+    'ArrowFunctionExpression',
+    'ClassDeclaration',
+    'ClassExpression',
+  ],
+};
+
+const isAlias = name =>
+  Object.prototype.hasOwnProperty.call(ALIASES, name);
+
+/**
+ * 把类型名或别名展开成具体的节点类型列表
+ * @param {string} name
+ * @returns {string[]}
+ */
+const expandType = name =>
+  isAlias(name) ? ALIASES[name] : [name];
+
+/**
+ * 判断节点是否属于某个类型或别名
+ * @param {*} node
+ * @param {string} name
+ * @returns {boolean}
+ */
+const isType = (node, name) =>
+  Boolean(node) && typeof node.type === 'string' && expandType(name).includes(node.type);
+
+module.exports = {
+  ALIASES,
+  isAlias,
+  expandType,
+  isType,
+};
@@ -0,0 +1,240 @@
+const acorn = require('acorn');
+const astring = require('astring');
+const traverse = require('./traverse');
+const { SourceMapGenerator } = require('./source-map');
+
+// 可以挂注释的节点列表，trailing 表示容器末尾的注释可以挂在容器的 trailingComments 上
+const COMMENT_CONTAINERS = {
+  Program: { key: 'body', trailing: true },
+  BlockStatement: { key: 'body', trailing: true },
+  ClassBody: { key: 'body', trailing: true },
+  ObjectExpression: { key: 'properties', trailing: true },
+  SwitchStatement: { key: 'cases', trailing: true },
+  SwitchCase: { key: 'consequent', trailing: false },
+};
+
+// astring 输出这些容器的 trailingComments 时缩进是错的，改成在末尾插入占位语句，值为插入的位置
+const TRAILING_STATEMENTS = {
+  BlockStatement: node => node.body,
+  ClassBody: node => node.body,
+  SwitchStatement: node => node.cases[node.cases.length - 1].consequent,
+};
+
+const pushComment = (node, key, comment) => {
+  node[key] = node[key] || [];
+  node[key].push(comment);
+};
+
+/**
+ * 把 acorn onComment 收集到的注释挂到节点上，astring 在 comments 选项打开时会输出它们
+ * 注释挂在其后第一个语句（或属性）的 comments 上，容器末尾的注释挂在容器的 trailingComments 上
+ * astring 只能在语句之间输出注释，表达式内部的注释（如 f(/* a *\/ 1)）会挂到它所在的语句前面
+ * @param {Object} ast
+ * @param {Object[]} comments
+ * @returns {Object} ast
+ */
+function attachComments(ast, comments) {
+  const containers = [];
+  traverse.visit(ast, {
+    enter(path) {
+      if (COMMENT_CONTAINERS[path.node.type]) containers.push(path.node);
+    },
+  });
+
+  for (const comment of comments) {
+    // 容器按先序收集，外层在前，范围相同时（如 Program 和唯一的语句）也是内层在后
+    const candidates = containers
+      .filter(node => node.start <= comment.start && comment.end <= node.end)
+      .reverse();
+
+    for (const container of candidates) {
+      const { key, trailing } = COMMENT_CONTAINERS[container.type];
+      // 作为语句的块会把自己的 comments 输出两次，跳过它们
+      const next = container[key].find(node =>
+        node && node.end > comment.start && node.type !== 'BlockStatement');
+      if (next) {
+        pushComment(next, 'comments', comment);
+        break;
+      }
+      // 没有 case 的 switch 中放不下注释
+      if (trailing && !(container.type === 'SwitchStatement' && !container.cases.length)) {
+        pushComment(container, 'trailingComments', comment);
+        break;
+      }
+    }
+  }
+  return ast;
+}
+
+/**
+ * astring 会改写注释的格式（去掉缩进和首尾空白），并且总是把注释放在单独的行上
+ * 生成前把源代码中的注释换成占位的行注释，块末尾的注释换成占位语句，生成后再换回原文并去掉占位语句；
+ * 原来跟在代码后面、同一行的注释接回上一行，并相应地调整 source map 的行号
+ * @param {Object} ast
+ * @param {Object[]} comments acorn 收集的注释
+ * @param {string} code 源代码
+ * @returns {(output: string, map: SourceMapGenerator) => string} 还原注释
+ */
+function protectComments(ast, comments, code) {
+  let prefix = 'comment-placeholder-';
+  while (code.includes(prefix)) prefix += '-';
+  const indexes = new Map(comments.map((comment, index) => [comment, index]));
+  // 前面有代码、并且在挂载的节点之前的注释，还原时接回上一行
+  const sameLine = new Set();
+  const followsCode = comment => /\S/.test(code.slice(code.lastIndexOf('\n', comment.start - 1) + 1, comment.start));
+  const replace = (list, node) => list && list.map(comment => {
+    if (!indexes.has(comment)) return comment;
+    const index = indexes.get(comment);
+    if (followsCode(comment) && !(node && node.start < comment.start)) sameLine.add(index);
+    return { type: 'Line', value: `${prefix}${index}` };
+  });
+  // 插入了占位语句的列表和插入前的长度
+  const inserted = [];
+  traverse.visit(ast, {
+    enter(path) {
+      const { node } = path;
+      if (node.comments) node.comments = replace(node.comments, node);
+      if (!node.trailingComments) return;
+      if (!TRAILING_STATEMENTS[node.type]) {
+        node.trailingComments = replace(node.trailingComments, null);
+        return;
+      }
+      // pass 添加的注释不在源代码中，仍然交给 astring 输出
+      const original = node.trailingComments.filter(comment => indexes.has(comment));
+      node.trailingComments = node.trailingComments.filter(comment => !indexes.has(comment));
+      if (!node.trailingComments.length) delete node.trailingComments;
+      const list = TRAILING_STATEMENTS[node.type](node);
+      inserted.push([list, list.length]);
+      list.push(...replace(original, null).map(comment => ({
+        type: 'ExpressionStatement',
+        expression: { type: 'Identifier', name: comment.value },
+      })));
+    },
+  });
+
+  const pattern = new RegExp(`^([ \\t]*)(?:// )?${prefix}(\\d+);?$`);
+  return (output, map) => {
+    for (const [list, length] of inserted) list.length = length;
+    const lines = [];
+    // 生成代码的行号（从 1 开始）到还原注释之后的行号
+    const lineMap = [0];
+    for (const line of output.split('\n')) {
+      const match = pattern.exec(line);
+      if (!match) {
+        lines.push(line);
+        lineMap.push(lines.length);
+        continue;
+      }
+      const index = Number(match[2]);
+      const comment = comments[index];
+      const [first, ...rest] = code.slice(comment.start, comment.end).split('\n');
+      if (sameLine.has(index) && lines.length) {
+        lines[lines.length - 1] += ` ${[first, ...rest].join('\n')}`;
+      } else {
+        // 多行注释的后续行保持相对于注释开头的缩进
+        const indent = code.slice(code.lastIndexOf('\n', comment.start - 1) + 1, comment.start);
+        const reindent = line => (line.startsWith(indent) ? match[1] + line.slice(indent.length) : line);
+        lines.push(match[1] + first, ...(/^\s*$/.test(indent) ? rest.map(reindent) : rest));
+      }
+      lineMap.push(lines.length);
+    }
+    for (const mapping of map.mappings) {
+      mapping.generatedLine = lineMap[mapping.generatedLine];
+    }
+    return lines.join('\n');
+  };
+}
+
+const positionKey = ({ line, column }) => `${line}:${column}`;
+
+/**
+ * 记录 pass 执行之前每个 Identifier 的名字，source map 的 names 应该是源代码中的名字
+ * @param {Object} ast
+ * @returns {Map<string, string>} 原位置到名字
+ */
+function recordOriginalNames(ast) {
+  const names = new Map();
+  traverse.visit(ast, {
+    Identifier(path) {
+      if (path.node.loc) names.set(positionKey(path.node.loc.start), path.node.name);
+    },
+  });
+  return names;
+}
+
+/**
+ * 把 astring 写入的改名之后的名字换回原位置上的名字，并按出现顺序重新生成 names
+ * @param {SourceMapGenerator} map
+ * @param {Map<string, string>} names recordOriginalNames 的结果
+ */
+function restoreOriginalNames(map, names) {
+  map.names = [];
+  for (const mapping of map.mappings) {
+    if (mapping.name === undefined) continue;
+    const key = positionKey({ line: mapping.originalLine, column: mapping.originalColumn });
+    if (names.has(key)) mapping.name = names.get(key);
+    if (!map.names.includes(mapping.name)) map.names.push(mapping.name);
+  }
+}
+
+/**
+ * 执行一个 pass：visitor 对象交给 traverse.visit，函数直接以 AST 为参数调用
+ * 函数返回新的 AST 时替换原 AST
+ */
+const runPass = (ast, pass, state) => {
+  if (typeof pass === 'function') {
+    const result = pass(ast, state);
+    return result === undefined ? ast : result;
+  }
+  return traverse.visit(ast, pass, state);
+};
+
+/**
+ * 解析代码，依次执行 passes，重新生成代码和指向原代码的 v3 source map
+ * 解析时会保留位置和注释，被 pass 原地修改的节点仍然保留原来的位置
+ * @param {string} code
+ * @param {Array<Object | Function>} passes visitor 对象或 (ast, state) => ast
+ * @param {Object} options
+ * @param {number | string} [options.ecmaVersion]
+ * @param {'script' | 'module'} [options.sourceType]
+ * @param {string} [options.sourceFile] 源文件名，写入 source map 的 sources
+ * @param {string} [options.file] 生成的文件名，写入 source map 的 file
+ * @param {boolean} [options.comments] 是否保留注释，默认保留
+ * @param {*} [options.state] 传给每个 pass 的 state
+ * @returns {{ code: string, map: Object, ast: Object }}
+ */
+function transform(code, passes = [], options = {}) {
+  const {
+    ecmaVersion = 'latest',
+    sourceType = 'script',
+    sourceFile = 'input.js',
+    file = null,
+    comments = true,
+    state,
+  } = options;
+
+  const collected = [];
+  let ast = acorn.parse(code, {
+    ecmaVersion,
+    sourceType,
+    locations: true,
+    onComment: collected,
+  });
+  if (comments) attachComments(ast, collected);
+  const originalNames = recordOriginalNames(ast);
+
+  for (const pass of passes) {
+    ast = runPass(ast, pass, state);
+  }
+
+  const map = new SourceMapGenerator({ file, source: sourceFile, sourceContent: code });
+  const restoreComments = comments ? protectComments(ast, collected, code) : output => output;
+  const output = restoreComments(astring.generate(ast, { comments, sourceMap: map }), map);
+  restoreOriginalNames(map, originalNames);
+  return { code: output, map: map.toJSON(), ast };
+}
+
+module.exports = {
+  transform,
+  attachComments,
+};
@@ -0,0 +1,151 @@
+const { transform } = require('./pipeline');
+const { decodeMappings, encodeVLQ, decodeVLQ } = require('./source-map');
+const test = require('ava');
+
+const source = `// head
+var a = 1;
+function f(x) {
+  // inside
+  return x + a;
+  // end
+}
+var o = {
+  // prop
+  k: a
+};
+// tail
+`;
+
+const renameA = {
+  Identifier(path) {
+    if (path.node.name === 'a') path.node.name = 'b';
+  },
+};
+
+test('VLQ 编解码', t => {
+  for (const value of [0, 1, -1, 15, 16, -16, 1000, -123456]) {
+    t.deepEqual(decodeVLQ(encodeVLQ(value)), [value]);
+  }
+  t.is(encodeVLQ(16), 'gB');
+});
+
+test('多个 pass 依次执行并保留注释', t => {
+  const { code } = transform(source, [
+    renameA,
+    ast => {
+      ast.body.pop();
+    },
+  ]);
+  t.is(code, [
+    '// head',
+    'var b = 1;',
+    'function f(x) {',
+    '  // inside',
+    '  return x + b;',
+    '  // end',
+    '}',
+    '// tail',
+    '',
+  ].join('\n'));
+});
+
+test('生成指向原代码的 v3 source map', t => {
+  const { code, map } = transform(source, [renameA], { sourceFile: 'a.js', file: 'a.out.js' });
+  t.is(map.version, 3);
+  t.deepEqual(map.sources, ['a.js']);
+  t.is(map.file, 'a.out.js');
+  t.deepEqual(map.sourcesContent, [source]);
+
+  const lines = code.split('\n');
+  const sourceLines = source.split('\n');
+  const mappings = decodeMappings(map).filter(mapping => mapping.name === 'a');
+  t.is(mappings.length, 3);
+  for (const mapping of mappings) {
+    t.is(lines[mapping.generatedLine - 1].slice(mapping.generatedColumn, mapping.generatedColumn + 1), 'b');
+    t.is(sourceLines[mapping.originalLine - 1].slice(mapping.originalColumn, mapping.originalColumn + 1), 'a');
+  }
+});
+
+test('comments: false 时丢弃注释', t => {
+  const { code } = transform('// a\nx;', [], { comments: false });
+  t.is(code, 'x;\n');
+});
+
+test('注释保留原文，行尾注释留在原来的行', t => {
+  const input = [
+    '/* keep  spacing */',
+    'if (a) {',
+    '    /**',
+    '     * doc',
+    '     */',
+    '    var a = 1; // end',
+    '    a++; /* same line */',
+    '}',
+    '//no space',
+    '',
+  ].join('\n');
+  const { code, map } = transform(input, [renameA]);
+  t.is(code, [
+    '/* keep  spacing */',
+    'if (b) {',
+    '  /**',
+    '   * doc',
+    '   */',
+    '  var b = 1; // end',
+    '  b++; /* same line */',
+    '}',
+    '//no space',
+    '',
+  ].join('\n'));
+
+  // 多行注释不会打乱 source map 的行号
+  const lines = code.split('\n');
+  const sourceLines = input.split('\n');
+  const mappings = decodeMappings(map).filter(mapping => mapping.name === 'a');
+  t.is(mappings.length, 3);
+  for (const mapping of mappings) {
+    t.is(lines[mapping.generatedLine - 1][mapping.generatedColumn], 'b');
+    t.is(sourceLines[mapping.originalLine - 1][mapping.originalColumn], 'a');
+  }
+});
+
+test('表达式内部的注释移到所在语句之前', t => {
+  t.is(transform('x;\nf(/* arg */ 1, 2);').code, 'x;\n/* arg */\nf(1, 2);\n');
+  t.is(transform('function f(/* p */ a) {}').code, '/* p */\nfunction f(a) {}\n');
+});
+
+test('空块和块末尾的注释单独成行，缩进正确', t => {
+  t.is(transform('function foo() {\n  /* x */\n}').code, 'function foo() {\n  /* x */\n}\n');
+  t.is(transform('var f = () => { /* x */ };').code, 'var f = () => { /* x */\n};\n');
+  t.is(transform('class A {\n  // c\n}').code, 'class A {\n  // c\n}\n');
+  const input = [
+    'function f() {',
+    '  if (a) {',
+    '    a();',
+    '    // end',
+    '  }',
+    '  if (b) {',
+    '    // empty',
+    '  }',
+    '}',
+    '',
+  ].join('\n');
+  t.is(transform(input, [renameA]).code, input.replace(/\ba\b/g, 'b'));
+});
+
+test('switch 中的注释留在原来的位置', t => {
+  const input = [
+    'switch (x) {',
+    '  // c1',
+    '  case 1:',
+    '    // c2',
+    '    a();',
+    '    // c3',
+    '}',
+    '',
+  ].join('\n');
+  const { code, ast } = transform(input);
+  t.is(code, input);
+  // 占位语句在生成之后去掉
+  t.is(ast.body[0].cases[0].consequent.length, 1);
+});
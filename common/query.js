@@ -0,0 +1,280 @@
+const traverse = require('./traverse');
+const { isType } = require('./node-types');
+
+/**
+ * 解析选择器字符串
+ *
+ * 支持的语法：
+ *   Identifier / *               类型或别名
+ *   .object                      位于父节点 object 字段上的节点
+ *   [name] [operator="+"]        属性存在 / 相等 / 不等 / 正则匹配，属性可以是 a.b 形式的路径
+ *   [name=/^_/] [name!="x"]
+ *   A B / A > B                  后代 / 子节点
+ *   :has(sel) :has(> sel)        子树中存在匹配的节点
+ *   :not(sel)                    不匹配
+ *   A, B                         匹配任意一个
+ *
+ * @param {string} source
+ * @returns {Object} 选择器的语法树
+ */
+function parseSelector(source) {
+  let pos = 0;
+
+  const fail = message => {
+    throw new SyntaxError(`${message} at ${pos} in selector "${source}"`);
+  };
+
+  const skipSpaces = () => {
+    const start = pos;
+    while (pos < source.length && /\s/.test(source[pos])) pos++;
+    return pos > start;
+  };
+
+  const eat = char => {
+    if (source[pos] === char) {
+      pos++;
+      return true;
+    }
+    return false;
+  };
+
+  const expect = char => {
+    if (!eat(char)) fail(`Expected "${char}"`);
+  };
+
+  const readName = () => {
+    const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(pos));
+    if (!match) fail('Expected name');
+    pos += match[0].length;
+    return match[0];
+  };
+
+  const readString = quote => {
+    let value = '';
+    pos++;
+    while (pos < source.length && source[pos] !== quote) {
+      if (source[pos] === '\\') pos++;
+      value += source[pos++];
+    }
+    expect(quote);
+    return value;
+  };
+
+  const readRegExp = () => {
+    const match = /^\/((?:\\.|[^/\\])+)\/([gimsuy]*)/.exec(source.slice(pos));
+    if (!match) fail('Invalid regular expression');
+    pos += match[0].length;
+    // g 和 y 会让 test 在多次调用之间记住 lastIndex，匹配属性时不需要它们
+    return new RegExp(match[1], match[2].replace(/[gy]/g, ''));
+  };
+
+  const readValue = () => {
+    const char = source[pos];
+    if (char === '"' || char === "'") return readString(char);
+    if (char === '/') return readRegExp();
+    const match = /^[^\]\s]+/.exec(source.slice(pos));
+    if (!match) fail('Expected value');
+    pos += match[0].length;
+    const raw = match[0];
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    if (raw === 'null') return null;
+    if (!Number.isNaN(Number(raw))) return Number(raw);
+    return raw;
+  };
+
+  const parseAttribute = () => {
+    skipSpaces();
+    const name = [readName()];
+    while (eat('.')) name.push(readName());
+    skipSpaces();
+    if (eat(']')) return { type: 'attribute', name, operator: null };
+
+    const operator = eat('!') ? '!=' : '=';
+    expect('=');
+    skipSpaces();
+    const value = readValue();
+    skipSpaces();
+    expect(']');
+    return { type: 'attribute', name, operator, value };
+  };
+
+  const parseCompound = () => {
+    const parts = [];
+    for (;;) {
+      const char = source[pos];
+      if (char === '*') {
+        pos++;
+        parts.push({ type: 'wildcard' });
+      } else if (char === '.') {
+        pos++;
+        parts.push({ type: 'field', name: readName() });
+      } else if (char === '[') {
+        pos++;
+        parts.push(parseAttribute());
+      } else if (char === ':') {
+        pos++;
+        const name = readName();
+        if (name !== 'has' && name !== 'not') fail(`Unknown pseudo class :${name}`);
+        expect('(');
+        const selector = parseList(true);
+        expect(')');
+        parts.push({ type: name, selector });
+      } else if (char && /[A-Za-z_$]/.test(char)) {
+        parts.push({ type: 'type', name: readName() });
+      } else {
+        break;
+      }
+    }
+    if (!parts.length) fail('Expected selector');
+    return { type: 'compound', parts };
+  };
+
+  // 复合选择器从左到右保存，每一项记录它与左侧的关系
+  const parseComplex = relative => {
+    const compounds = [];
+    skipSpaces();
+    let combinator = null;
+    if (relative && eat('>')) {
+      combinator = '>';
+      skipSpaces();
+    }
+    for (;;) {
+      compounds.push({ combinator, compound: parseCompound() });
+      const spaced = skipSpaces();
+      if (eat('>')) {
+        combinator = '>';
+        skipSpaces();
+      } else if (spaced && pos < source.length && source[pos] !== ',' && source[pos] !== ')') {
+        combinator = ' ';
+      } else {
+        break;
+      }
+    }
+    return { type: 'complex', compounds };
+  };
+
+  const parseList = relative => {
+    const selectors = [parseComplex(relative)];
+    while (eat(',')) selectors.push(parseComplex(relative));
+    return { type: 'list', selectors };
+  };
+
+  const selector = parseList(false);
+  skipSpaces();
+  if (pos < source.length) fail(`Unexpected "${source[pos]}"`);
+  return selector;
+}
+
+const getIn = (node, keys) =>
+  keys.reduce((value, key) => (value == null ? undefined : value[key]), node);
+
+const matchAttribute = (node, { name, operator, value }) => {
+  const actual = getIn(node, name);
+  if (operator === null) return actual != null;
+
+  let equal;
+  if (value instanceof RegExp) {
+    equal = typeof actual === 'string' && value.test(actual);
+  } else {
+    equal = actual === value;
+  }
+  return operator === '=' ? equal : !equal;
+};
+
+/**
+ * 收集子树中的所有 path
+ * @param {Object} root
+ * @returns {NodePath[]}
+ */
+function collectPaths(root) {
+  const paths = [];
+  traverse.visit(root, {
+    enter(path) {
+      paths.push(path);
+    },
+  });
+  return paths;
+}
+
+const matchHas = (path, selector) => {
+  const [subject, ...descendants] = collectPaths(path.node);
+  return descendants.some(descendant => matchList(descendant, selector, subject));
+};
+
+const matchCompound = (path, compound, scope) =>
+  compound.parts.every(part => {
+    const { node } = path;
+    switch (part.type) {
+      case 'wildcard':
+        return true;
+      case 'type':
+        return isType(node, part.name);
+      case 'field':
+        return path.parentKey === part.name;
+      case 'attribute':
+        return matchAttribute(node, part);
+      case 'has':
+        return matchHas(path, part.selector);
+      case 'not':
+        return !matchList(path, part.selector, scope);
+    }
+  });
+
+// 从右往左匹配，scope 是 :has 的主体节点，用于匹配开头的 `>`
+const matchComplex = (path, compounds, index, scope) => {
+  const { combinator, compound } = compounds[index];
+  if (!path || !matchCompound(path, compound, scope)) return false;
+
+  if (index === 0) {
+    if (combinator === '>') return path.parentPath === scope;
+    return true;
+  }
+
+  if (combinator === '>') {
+    return matchComplex(path.parentPath, compounds, index - 1, scope);
+  }
+  for (let ancestor = path.parentPath; ancestor; ancestor = ancestor.parentPath) {
+    if (matchComplex(ancestor, compounds, index - 1, scope)) return true;
+  }
+  return false;
+};
+
+const matchList = (path, selector, scope = null) =>
+  selector.selectors.some(({ compounds }) =>
+    matchComplex(path, compounds, compounds.length - 1, scope));
+
+const cache = new Map();
+
+const compileSelector = selector => {
+  if (typeof selector !== 'string') return selector;
+  if (!cache.has(selector)) cache.set(selector, parseSelector(selector));
+  return cache.get(selector);
+};
+
+/**
+ * 判断 path 是否匹配选择器
+ * @param {NodePath} path
+ * @param {string | Object} selector
+ * @returns {boolean}
+ */
+function matches(path, selector) {
+  return matchList(path, compileSelector(selector));
+}
+
+/**
+ * 在 AST 中查找所有匹配选择器的节点，按遍历顺序返回它们的 path，
+ * 可以直接用 path.replaceWith 等方法修改
+ * @param {Object} ast
+ * @param {string} selector
+ * @returns {NodePath[]}
+ */
+function query(ast, selector) {
+  const compiled = compileSelector(selector);
+  return collectPaths(ast).filter(path => matchList(path, compiled));
+}
+
+module.exports = query;
+module.exports.query = query;
+module.exports.matches = matches;
+module.exports.parseSelector = parseSelector;
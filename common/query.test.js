@@ -0,0 +1,68 @@
+const acorn = require('acorn');
+const astring = require('astring');
+const query = require('./query');
+const test = require('ava');
+
+const parse = code => acorn.parse(code, { ecmaVersion: 2020 });
+
+const code = `
+var _private = foo.bar + foo[baz];
+function run(a, b) {
+  return a * b + bar.foo;
+}
+`;
+
+const names = paths => paths.map(path => astring.generate(path.node));
+
+test('类型与通配符', t => {
+  const ast = parse(code);
+  t.deepEqual(names(query(ast, 'FunctionDeclaration > Identifier')), ['run', 'a', 'b']);
+  t.is(query(ast, 'BinaryExpression *').length, 12);
+  t.deepEqual(names(query(ast, 'Function')), [astring.generate(ast.body[1])]);
+});
+
+test('属性测试', t => {
+  const ast = parse(code);
+  t.deepEqual(names(query(ast, 'BinaryExpression[operator="*"]')), ['a * b']);
+  t.deepEqual(names(query(ast, 'Identifier[name=/^_/]')), ['_private']);
+  // g 和 y 不会让后面的节点匹配失败，缓存的选择器再次使用时结果也一样
+  for (let i = 0; i < 2; i++) {
+    t.deepEqual(names(query(parse('_x + _y'), 'Identifier[name=/^_/g]')), ['_x', '_y']);
+    t.deepEqual(names(query(parse('_x + _y'), 'Identifier[name=/_/y]')), ['_x', '_y']);
+  }
+  t.deepEqual(names(query(ast, 'MemberExpression[computed=true]')), ['foo[baz]']);
+  t.deepEqual(names(query(ast, 'MemberExpression[object.name="foo"][computed!=true]')), ['foo.bar']);
+  t.is(query(ast, 'VariableDeclarator[init]').length, 1);
+});
+
+test('组合器与字段', t => {
+  const ast = parse(code);
+  t.deepEqual(names(query(ast, 'MemberExpression > .object')), ['foo', 'foo', 'bar']);
+  t.deepEqual(names(query(ast, 'ReturnStatement BinaryExpression > .left')), ['a * b', 'a']);
+  t.deepEqual(names(query(ast, 'VariableDeclaration Identifier.property')), ['bar', 'baz']);
+});
+
+test(':has 与 :not', t => {
+  const ast = parse(code);
+  t.deepEqual(names(query(ast, 'MemberExpression:has(> .object[name="foo"])')), ['foo.bar', 'foo[baz]']);
+  t.deepEqual(names(query(ast, 'BinaryExpression:has(MemberExpression)')), ['foo.bar + foo[baz]', 'a * b + bar.foo']);
+  t.deepEqual(names(query(ast, 'MemberExpression > Identifier:not(.property, [name="foo"])')), ['bar']);
+});
+
+test('选择器列表', t => {
+  const ast = parse(code);
+  t.is(query(ast, 'ReturnStatement, VariableDeclaration').length, 2);
+});
+
+test('结果的 path 可以用于修改', t => {
+  const ast = parse(code);
+  for (const path of query(ast, 'MemberExpression:has(> .object[name="foo"]) > .object')) {
+    path.replaceWith({ type: 'Identifier', name: 'qux' });
+  }
+  t.is(astring.generate(ast.body[0]), 'var _private = qux.bar + qux[baz];');
+});
+
+test('非法选择器', t => {
+  t.throws(() => query(parse(code), 'Identifier['), { instanceOf: SyntaxError });
+  t.throws(() => query(parse(code), 'Identifier:first'), { message: /Unknown pseudo class/ });
+});
@@ -0,0 +1,156 @@
+const { performance } = require('perf_hooks');
+const traverse = require('./traverse');
+const pipeline = require('./pipeline');
+
+/**
+ * @typedef {Object} Plugin
+ * @property {string} name
+ * @property {Object} [visitor] visitor 对象，回调签名为 (path, state)
+ * @property {(ast: Object, state: Object) => Object | void} [transform] 直接处理整棵 AST，不能与其他插件合并
+ * @property {Object} [options] 插件选项，通过 state.options 读取
+ * @property {boolean} [exclusive] 需要独占一次遍历，比如依赖前面插件的完整结果，或者会调用 path.skip / path.stop
+ * @property {(state: Object, ast: Object) => void} [pre] 遍历前调用
+ * @property {(state: Object, ast: Object) => void} [post] 遍历后调用
+ */
+
+/**
+ * @typedef {Object} PluginTiming
+ * @property {string} name
+ * @property {number} time 插件回调累计耗时，单位毫秒
+ */
+
+const isMergeable = plugin =>
+  !plugin.exclusive && !plugin.transform && Boolean(plugin.visitor);
+
+/**
+ * 把相邻的可合并插件分成一组，其余插件单独成组，组之间保持原有顺序
+ * @param {Plugin[]} plugins
+ * @returns {Plugin[][]}
+ */
+function groupPlugins(plugins) {
+  const groups = [];
+  for (const plugin of plugins) {
+    const last = groups[groups.length - 1];
+    if (last && isMergeable(plugin) && last.every(isMergeable)) {
+      last.push(plugin);
+    } else {
+      groups.push([plugin]);
+    }
+  }
+  return groups;
+}
+
+/**
+ * 把多个插件的 visitor 合并成一个，同一节点上按插件顺序调用，
+ * 每个回调拿到自己插件的 state，并把耗时记到对应插件上
+ */
+const mergeVisitors = (group, states, timings) => {
+  const merged = { _exploded: true };
+  group.forEach((plugin, i) => {
+    const exploded = traverse.explode(plugin.visitor);
+    for (const type of Object.keys(exploded)) {
+      if (type === '_exploded') continue;
+      merged[type] = merged[type] || { enter: [], exit: [] };
+      for (const phase of ['enter', 'exit']) {
+        for (const fn of exploded[type][phase]) {
+          merged[type][phase].push(path => {
+            const start = performance.now();
+            try {
+              fn.call(states[i], path, states[i]);
+            } finally {
+              timings[i].time += performance.now() - start;
+            }
+          });
+        }
+      }
+    }
+  });
+  return merged;
+};
+
+const timed = (timing, fn) => {
+  const start = performance.now();
+  try {
+    return fn();
+  } finally {
+    timing.time += performance.now() - start;
+  }
+};
+
+/**
+ * 在同一棵 AST 上执行插件，可合并的相邻插件只做一次遍历
+ * @param {Object} ast
+ * @param {Plugin[]} plugins
+ * @returns {{ ast: Object, timings: PluginTiming[], groups: string[][] }}
+ */
+function runPlugins(ast, plugins) {
+  const timings = plugins.map(plugin => ({ name: plugin.name, time: 0 }));
+  const states = plugins.map(plugin => ({ name: plugin.name, options: plugin.options || {} }));
+  const groups = groupPlugins(plugins);
+
+  let root = ast;
+  let offset = 0;
+  for (const group of groups) {
+    const indexes = group.map((plugin, i) => offset + i);
+    offset += group.length;
+
+    indexes.forEach(index => {
+      const plugin = plugins[index];
+      if (plugin.pre) timed(timings[index], () => plugin.pre(states[index], root));
+    });
+
+    if (group.length === 1 && !isMergeable(group[0])) {
+      const [index] = indexes;
+      const plugin = plugins[index];
+      root = timed(timings[index], () => {
+        if (plugin.transform) {
+          const result = plugin.transform(root, states[index]);
+          return result === undefined ? root : result;
+        }
+        return traverse.visit(root, plugin.visitor, states[index]);
+      });
+    } else {
+      const visitor = mergeVisitors(
+        group,
+        indexes.map(index => states[index]),
+        indexes.map(index => timings[index]),
+      );
+      root = traverse.visit(root, visitor);
+    }
+
+    indexes.forEach(index => {
+      const plugin = plugins[index];
+      if (plugin.post) timed(timings[index], () => plugin.post(states[index], root));
+    });
+  }
+
+  return {
+    ast: root,
+    timings,
+    groups: groups.map(group => group.map(plugin => plugin.name)),
+  };
+}
+
+/**
+ * 解析一次代码，执行所有插件后生成代码和 source map
+ * @param {string} code
+ * @param {Plugin[]} plugins
+ * @param {Object} options 透传给 pipeline.transform
+ * @returns {{ code: string, map: Object, ast: Object, timings: PluginTiming[], groups: string[][] }}
+ */
+function transform(code, plugins, options = {}) {
+  let report;
+  const result = pipeline.transform(code, [
+    ast => {
+      report = runPlugins(ast, plugins);
+      return report.ast;
+    },
+  ], options);
+  return { ...result, timings: report.timings, groups: report.groups };
+}
+
+module.exports = {
+  runPlugins,
+  groupPlugins,
+  transform,
+};
@@ -0,0 +1,83 @@
+const acorn = require('acorn');
+const astring = require('astring');
+const { runPlugins, groupPlugins, transform } = require('./runner');
+const test = require('ava');
+
+const parse = code => acorn.parse(code, { ecmaVersion: 2020 });
+
+const renamePlugin = (from, to) => ({
+  name: `rename-${from}`,
+  options: { from, to },
+  visitor: {
+    Identifier(path, state) {
+      if (path.node.name === state.options.from) path.node.name = state.options.to;
+    },
+  },
+});
+
+const foldPlugin = {
+  name: 'fold',
+  visitor: {
+    BinaryExpression: {
+      exit(path) {
+        const { left, right, operator } = path.node;
+        if (operator === '+' && left.type === 'Literal' && right.type === 'Literal') {
+          path.replaceWith({ type: 'Literal', value: left.value + right.value });
+        }
+      },
+    },
+  },
+};
+
+test('相邻的插件合并成一次遍历', t => {
+  const plugins = [
+    renamePlugin('a', 'b'),
+    foldPlugin,
+    { name: 'exclusive', exclusive: true, visitor: {} },
+    { name: 'whole', transform: () => {} },
+    renamePlugin('b', 'c'),
+  ];
+  t.deepEqual(groupPlugins(plugins).map(group => group.map(plugin => plugin.name)), [
+    ['rename-a', 'fold'],
+    ['exclusive'],
+    ['whole'],
+    ['rename-b'],
+  ]);
+});
+
+test('按顺序执行插件并共享同一棵 AST', t => {
+  const ast = parse('x = a + (1 + 2);');
+  const calls = [];
+  const { ast: result, timings, groups } = runPlugins(ast, [
+    renamePlugin('a', 'b'),
+    foldPlugin,
+    {
+      name: 'count',
+      pre(state) { state.count = 0; },
+      visitor: { Identifier(path, state) { state.count++; } },
+      post(state) { calls.push(`count:${state.count}`); },
+    },
+    {
+      name: 'append',
+      transform(root) {
+        calls.push('append');
+        root.body.push(parse('done;').body[0]);
+      },
+    },
+    renamePlugin('b', 'c'),
+  ]);
+
+  t.is(result, ast);
+  t.is(astring.generate(result), 'x = c + 3;\ndone;\n');
+  t.deepEqual(calls, ['count:2', 'append']);
+  t.deepEqual(groups, [['rename-a', 'fold', 'count'], ['append'], ['rename-b']]);
+  t.deepEqual(timings.map(timing => timing.name), ['rename-a', 'fold', 'count', 'append', 'rename-b']);
+  t.true(timings.every(timing => typeof timing.time === 'number' && timing.time >= 0));
+});
+
+test('transform 只解析一次并生成 source map', t => {
+  const { code, map, timings } = transform('// 注释\nvar a = 1 + 2;', [renamePlugin('a', 'b'), foldPlugin]);
+  t.is(code, '// 注释\nvar b = 3;\n');
+  t.deepEqual(map.names, ['a']);
+  t.is(timings.length, 2);
+});
@@ -0,0 +1,569 @@
+const traverse = require('./traverse');
+const { isType } = require('./node-types');
+
+/**
+ * 绑定类型
+ * @typedef {('var' | 'let' | 'const' | 'function' | 'param' | 'catch' | 'class' | 'import' | 'arguments')} BindingKind
+ */
+/**
+ * 作用域类型
+ * @typedef {('global' | 'module' | 'function' | 'block' | 'catch' | 'class')} ScopeType
+ */
+
+const READ = 1;
+const WRITE = 2;
+const READ_WRITE = READ | WRITE;
+
+/**
+ * 一次对变量的引用
+ */
+class Reference {
+  /**
+   * @param {Object} identifier 引用所在的 Identifier 节点
+   * @param {Scope} from 引用发生的作用域
+   * @param {number} flag READ / WRITE / READ_WRITE
+   * @param {boolean} init 是否是声明时的初始化
+   */
+  constructor(identifier, from, flag, init = false) {
+    this.identifier = identifier;
+    this.name = identifier.name;
+    this.from = from;
+    this.flag = flag;
+    this.init = init;
+    /**
+     * 解析到的绑定，找不到时为 null（全局变量）
+     * @type {Binding | null}
+     */
+    this.binding = null;
+  }
+
+  isRead() {
+    return Boolean(this.flag & READ);
+  }
+
+  isWrite() {
+    return Boolean(this.flag & WRITE);
+  }
+
+  isReadOnly() {
+    return this.flag === READ;
+  }
+
+  isWriteOnly() {
+    return this.flag === WRITE;
+  }
+
+  isReadWrite() {
+    return this.flag === READ_WRITE;
+  }
+}
+
+/**
+ * 作用域中声明的一个变量
+ */
+class Binding {
+  /**
+   * @param {string} name
+   * @param {BindingKind} kind
+   * @param {Scope} scope
+   */
+  constructor(name, kind, scope) {
+    this.name = name;
+    this.kind = kind;
+    this.scope = scope;
+    /**
+     * 所有声明位置的 Identifier，var 和 function 可以重复声明
+     * @type {Object[]}
+     */
+    this.identifiers = [];
+    /**
+     * @type {Reference[]}
+     */
+    this.references = [];
+  }
+
+  get identifier() {
+    return this.identifiers[0] || null;
+  }
+}
+
+class Scope {
+  /**
+   * @param {ScopeType} type
+   * @param {Object} block 创建该作用域的节点
+   * @param {Scope | null} parent
+   */
+  constructor(type, block, parent = null) {
+    this.type = type;
+    this.block = block;
+    this.parent = parent;
+    /**
+     * @type {Scope[]}
+     */
+    this.children = [];
+    /**
+     * @type {Map<string, Binding>}
+     */
+    this.bindings = new Map();
+    /**
+     * 在当前作用域中发生的引用
+     * @type {Reference[]}
+     */
+    this.references = [];
+    /**
+     * 没有在当前作用域及其子作用域中解析到的引用
+     * @type {Reference[]}
+     */
+    this.through = [];
+    if (parent) parent.children.push(this);
+  }
+
+  /**
+   * var 声明所在的作用域
+   * @returns {Scope}
+   */
+  get variableScope() {
+    let scope = this;
+    while (!['function', 'module', 'global'].includes(scope.type)) {
+      scope = scope.parent;
+    }
+    return scope;
+  }
+
+  /**
+   * 声明变量，重复声明时合并到已有的绑定上
+   * @param {string} name
+   * @param {BindingKind} kind
+   * @param {Object} [identifier]
+   * @returns {Binding}
+   */
+  declare(name, kind, identifier) {
+    let binding = this.bindings.get(name);
+    if (!binding) {
+      binding = new Binding(name, kind, this);
+      this.bindings.set(name, binding);
+    }
+    if (identifier) binding.identifiers.push(identifier);
+    return binding;
+  }
+
+  /**
+   * 沿作用域链查找变量
+   * @param {string} name
+   * @returns {Binding | null}
+   */
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.bindings.has(name)) return scope.bindings.get(name);
+    }
+    return null;
+  }
+}
+
+class ScopeManager {
+  constructor() {
+    /**
+     * @type {Scope[]}
+     */
+    this.scopes = [];
+    /**
+     * @type {Scope | null}
+     */
+    this.globalScope = null;
+    this._nodeToScope = new Map();
+    this._declarations = new Map();
+    this._references = new Map();
+  }
+
+  /**
+   * 获取节点创建的作用域
+   * @param {Object} node
+   * @returns {Scope | null}
+   */
+  acquire(node) {
+    return this._nodeToScope.get(node) || null;
+  }
+
+  /**
+   * 获取 Identifier 对应的引用，声明位置的 Identifier 只有在带初始化时才有引用
+   * @param {Object} identifier
+   * @returns {Reference | null}
+   */
+  getReference(identifier) {
+    return this._references.get(identifier) || null;
+  }
+
+  /**
+   * 获取 Identifier 声明或引用的绑定
+   * @param {Object} identifier
+   * @returns {Binding | null}
+   */
+  getBinding(identifier) {
+    if (this._declarations.has(identifier)) {
+      return this._declarations.get(identifier);
+    }
+    const reference = this.getReference(identifier);
+    return reference ? reference.binding : null;
+  }
+}
+
+/**
+ * 取出解构模式中声明或赋值的所有 Identifier，不包含默认值和计算属性中的引用
+ * @param {Object} pattern
+ * @returns {Object[]}
+ */
+function getPatternIdentifiers(pattern) {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property =>
+        getPatternIdentifiers(property.type === 'RestElement' ? property : property.value));
+    case 'ArrayPattern':
+      return pattern.elements.flatMap(getPatternIdentifiers);
+    case 'RestElement':
+      return getPatternIdentifiers(pattern.argument);
+    case 'AssignmentPattern':
+      return getPatternIdentifiers(pattern.left);
+    default:
+      // MemberExpression 等目标不是变量
+      return [];
+  }
+}
+
+/**
+ * 判断 Identifier 是否是对变量的引用，属性名、标签等不是
+ * @param {NodePath} path
+ * @returns {boolean}
+ */
+function isReferenceIdentifier(path) {
+  const { parent, parentKey } = path;
+  if (!parent) return true;
+  switch (parent.type) {
+    case 'MemberExpression':
+      return parentKey !== 'property' || parent.computed;
+    case 'Property':
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      return parentKey !== 'key' || parent.computed;
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'MetaProperty':
+    case 'ImportSpecifier':
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+    case 'ExportAllDeclaration':
+      return false;
+    case 'ExportSpecifier':
+      // export { a as b } from 'x' 中的 a 不是当前模块的变量
+      return parentKey === 'local' && !path.parentPath.parent.source;
+    default:
+      return true;
+  }
+}
+
+const hasLexicalDeclaration = node =>
+  Boolean(node) && node.type === 'VariableDeclaration' && node.kind !== 'var';
+
+const hasUseStrict = body => body.some(statement => statement.directive === 'use strict');
+
+/**
+ * 节点是否在严格模式的代码中：模块、类、'use strict' 的函数或脚本
+ * @param {NodePath} path
+ * @returns {boolean}
+ */
+function isStrict(path) {
+  for (let p = path; p; p = p.parentPath) {
+    const { node } = p;
+    if (node.type === 'Program') return node.sourceType === 'module' || hasUseStrict(node.body);
+    if (isType(node, 'Class')) return true;
+    if (isType(node, 'Function') && node.body.type === 'BlockStatement' && hasUseStrict(node.body.body)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 引用是否在 scope 对应函数的参数中，参数的默认值看不到函数体中的 var 和函数声明
+ * @param {Scope} scope
+ * @param {Object} identifier
+ * @returns {boolean}
+ */
+const isInParams = (scope, identifier) =>
+  scope.type === 'function' && identifier.start < scope.block.body.start;
+
+/**
+ * 参数中可以看到的绑定：参数、arguments 以及函数表达式自己的名字
+ * @param {Binding} binding
+ */
+const isParamVisible = binding =>
+  ['param', 'arguments'].includes(binding.kind) || binding.identifier === binding.scope.block.id;
+
+/**
+ * 沿作用域链查找引用对应的绑定
+ * @param {Scope} scope
+ * @param {Reference} reference
+ * @returns {Binding | null}
+ */
+function resolveReference(scope, reference) {
+  for (let s = scope; s; s = s.parent) {
+    const binding = s.bindings.get(reference.name);
+    if (binding && (!isInParams(s, reference.identifier) || isParamVisible(binding))) return binding;
+  }
+  return null;
+}
+
+/**
+ * sloppy 模式下块中的普通函数声明同时在 var 的作用域中声明同名变量（Annex B），
+ * 块和函数之间没有同名的其他声明时，把它当作 var 作用域中的绑定，块内外的引用指向同一个函数
+ * @param {ScopeManager} manager
+ * @param {Array<{ scope: Scope, identifier: Object }>} declarations
+ */
+function hoistBlockFunctions(manager, declarations) {
+  for (const { scope, identifier } of declarations) {
+    const { name } = identifier;
+    const binding = scope.bindings.get(name);
+    // 同一个块中的重复声明已经处理过了
+    if (!binding || binding.scope !== scope) continue;
+    const target = scope.variableScope;
+    let conflict = false;
+    for (let s = scope.parent; s !== target; s = s.parent) {
+      if (s.bindings.has(name)) conflict = true;
+    }
+    const existing = target.bindings.get(name);
+    if (conflict || (existing && !['var', 'function'].includes(existing.kind))) continue;
+
+    scope.bindings.delete(name);
+    if (!existing) {
+      binding.scope = target;
+      target.bindings.set(name, binding);
+      continue;
+    }
+    for (const declaration of binding.identifiers) {
+      existing.identifiers.push(declaration);
+      manager._declarations.set(declaration, existing);
+    }
+  }
+}
+
+/**
+ * 分析 Program 的作用域，得到作用域树、每个作用域中的绑定以及所有引用
+ * @param {Object} ast Program 节点
+ * @returns {ScopeManager}
+ */
+function analyze(ast) {
+  const manager = new ScopeManager();
+  const stack = [];
+  const declared = new WeakSet();
+  const writeFlags = new Map();
+  // 函数表达式的名字在函数体中没有同名声明时才生效，退出函数时再处理
+  const functionNames = new Map();
+  // sloppy 模式下块中的函数声明，收集完所有声明之后再处理
+  const blockFunctions = [];
+
+  const current = () => stack[stack.length - 1];
+
+  const pushScope = (type, node) => {
+    const scope = new Scope(type, node, current() || null);
+    manager.scopes.push(scope);
+    manager._nodeToScope.set(node, scope);
+    stack.push(scope);
+    return scope;
+  };
+
+  const popScope = node => {
+    if (manager.acquire(node) === current()) stack.pop();
+  };
+
+  const declare = (scope, identifier, kind) => {
+    declared.add(identifier);
+    const binding = scope.declare(identifier.name, kind, identifier);
+    manager._declarations.set(identifier, binding);
+    return binding;
+  };
+
+  const addReference = (identifier, flag, init) => {
+    const scope = current();
+    const reference = new Reference(identifier, scope, flag, init);
+    scope.references.push(reference);
+    manager._references.set(identifier, reference);
+  };
+
+  const markWrite = (pattern, flag) => {
+    for (const identifier of getPatternIdentifiers(pattern)) {
+      writeFlags.set(identifier, flag);
+    }
+  };
+
+  traverse.visit(ast, {
+    Program: {
+      enter(path) {
+        manager.globalScope = pushScope('global', path.node);
+        if (path.node.sourceType === 'module') {
+          // 模块作用域挂在 Program 上，全局作用域只保存未声明的全局变量
+          const scope = new Scope('module', path.node, current());
+          manager.scopes.push(scope);
+          manager._nodeToScope.set(path.node, scope);
+          stack.push(scope);
+        }
+      },
+      exit() {
+        stack.length = 0;
+      },
+    },
+    Function: {
+      enter(path) {
+        const { node } = path;
+        if (node.type === 'FunctionDeclaration' && node.id) {
+          declare(current(), node.id, 'function');
+          if (current().type === 'block' && !node.generator && !node.async && !isStrict(path)) {
+            blockFunctions.push({ scope: current(), identifier: node.id });
+          }
+        }
+        const scope = pushScope('function', node);
+        if (node.type === 'FunctionExpression' && node.id) {
+          declared.add(node.id);
+          functionNames.set(scope, node.id);
+        }
+        if (node.type !== 'ArrowFunctionExpression') {
+          scope.declare('arguments', 'arguments');
+        }
+        for (const param of node.params) {
+          for (const identifier of getPatternIdentifiers(param)) {
+            declare(scope, identifier, 'param');
+          }
+        }
+      },
+      exit(path) {
+        const scope = manager.acquire(path.node);
+        const id = functionNames.get(scope);
+        if (id && !scope.bindings.has(id.name)) {
+          declare(scope, id, 'function');
+        }
+        popScope(path.node);
+      },
+    },
+    Class: {
+      enter(path) {
+        const { node } = path;
+        if (node.type === 'ClassDeclaration' && node.id) {
+          declare(current(), node.id, 'class');
+        }
+        const scope = pushScope('class', node);
+        if (node.type === 'ClassExpression' && node.id) {
+          declare(scope, node.id, 'class');
+        }
+      },
+      exit(path) {
+        popScope(path.node);
+      },
+    },
+    BlockStatement: {
+      enter(path) {
+        // 函数体和 catch 的块与外层共用同一个作用域
+        if (isType(path.parent, 'Function') || path.parent.type === 'CatchClause') return;
+        pushScope('block', path.node);
+      },
+      exit(path) {
+        popScope(path.node);
+      },
+    },
+    CatchClause: {
+      enter(path) {
+        const scope = pushScope('catch', path.node);
+        for (const identifier of getPatternIdentifiers(path.node.param)) {
+          declare(scope, identifier, 'catch');
+        }
+      },
+      exit(path) {
+        popScope(path.node);
+      },
+    },
+    'ForStatement|ForInStatement|ForOfStatement': {
+      enter(path) {
+        const { node } = path;
+        if (hasLexicalDeclaration(node.init) || hasLexicalDeclaration(node.left)) {
+          pushScope('block', node);
+        }
+        if (node.left && node.left.type !== 'VariableDeclaration') {
+          markWrite(node.left, WRITE);
+        }
+      },
+      exit(path) {
+        popScope(path.node);
+      },
+    },
+    SwitchStatement: {
+      enter(path) {
+        pushScope('block', path.node);
+      },
+      exit(path) {
+        popScope(path.node);
+      },
+    },
+    VariableDeclaration(path) {
+      const { node, parent, parentKey } = path;
+      const scope = node.kind === 'var' ? current().variableScope : current();
+      const isForInOf = parentKey === 'left' && isType(parent, 'Loop');
+      for (const declarator of node.declarations) {
+        for (const identifier of getPatternIdentifiers(declarator.id)) {
+          declare(scope, identifier, node.kind);
+          if (declarator.init || isForInOf) {
+            addReference(identifier, WRITE, true);
+          }
+        }
+      }
+    },
+    ImportDeclaration(path) {
+      for (const specifier of path.node.specifiers) {
+        declare(current(), specifier.local, 'import');
+      }
+    },
+    AssignmentExpression(path) {
+      const { left, operator } = path.node;
+      markWrite(left, operator === '=' ? WRITE : READ_WRITE);
+    },
+    UpdateExpression(path) {
+      markWrite(path.node.argument, READ_WRITE);
+    },
+    Identifier(path) {
+      const { node } = path;
+      if (declared.has(node) || !isReferenceIdentifier(path)) return;
+      addReference(node, writeFlags.get(node) || READ, false);
+    },
+  });
+
+  hoistBlockFunctions(manager, blockFunctions);
+
+  // 所有声明都收集完之后再解析引用，这样可以正确处理变量提升
+  for (const scope of manager.scopes) {
+    for (const reference of scope.references) {
+      const binding = resolveReference(scope, reference);
+      if (binding) {
+        reference.binding = binding;
+        binding.references.push(reference);
+      }
+      for (let s = scope; s && s.bindings.get(reference.name) !== binding; s = s.parent) {
+        s.through.push(reference);
+      }
+    }
+  }
+
+  return manager;
+}
+
+module.exports = {
+  analyze,
+  getPatternIdentifiers,
+  isReferenceIdentifier,
+  Scope,
+  Binding,
+  Reference,
+  ScopeManager,
+  READ,
+  WRITE,
+  READ_WRITE,
+};
@@ -0,0 +1,154 @@
+const acorn = require('acorn');
+const { analyze } = require('./scope');
+const test = require('ava');
+
+const parse = (code, sourceType = 'script') =>
+  acorn.parse(code, { ecmaVersion: 2020, sourceType });
+
+const bindingsOf = scope =>
+  [...scope.bindings.values()].map(binding => `${binding.kind}:${binding.name}`);
+
+test('作用域树 - 函数、块、catch', t => {
+  const { globalScope } = analyze(parse(`
+    var a = 1;
+    function foo(b) {
+      let c;
+      { const d = 2; }
+      try {} catch (e) {}
+    }
+  `));
+  t.is(globalScope.type, 'global');
+  t.deepEqual(bindingsOf(globalScope), ['var:a', 'function:foo']);
+
+  const [fooScope] = globalScope.children;
+  t.is(fooScope.type, 'function');
+  t.deepEqual(bindingsOf(fooScope), ['arguments:arguments', 'param:b', 'let:c']);
+  t.deepEqual(fooScope.children.map(scope => scope.type), ['block', 'block', 'catch']);
+  t.deepEqual(bindingsOf(fooScope.children[0]), ['const:d']);
+  t.deepEqual(bindingsOf(fooScope.children[2]), ['catch:e']);
+});
+
+test('作用域树 - 模块作用域', t => {
+  const { globalScope } = analyze(parse('import x from "y"; let z = x;', 'module'));
+  const [moduleScope] = globalScope.children;
+  t.is(moduleScope.type, 'module');
+  t.deepEqual(bindingsOf(moduleScope), ['import:x', 'let:z']);
+});
+
+test('变量提升 - var 与函数声明', t => {
+  const { globalScope } = analyze(parse(`
+    a = foo();
+    function bar() { if (true) { var a; } }
+    function foo() {}
+    var a;
+  `));
+  const a = globalScope.bindings.get('a');
+  t.is(a.references.length, 1);
+  t.true(a.references[0].isWriteOnly());
+  t.is(globalScope.bindings.get('foo').references.length, 1);
+  // bar 中的 var a 提升到 bar 的函数作用域
+  const [barScope] = globalScope.children;
+  t.true(barScope.bindings.has('a'));
+});
+
+test('变量提升 - 参数默认值看不到函数体中的声明', t => {
+  const manager = analyze(parse('var x; (function f(a = x, b = () => x + a) { var x; return [f, x]; });'));
+  const [fScope] = manager.globalScope.children;
+  t.is(manager.globalScope.bindings.get('x').references.length, 2);
+  t.is(fScope.bindings.get('x').references.length, 1);
+  t.is(fScope.bindings.get('a').references.length, 1);
+  t.is(fScope.bindings.get('f').references.length, 1);
+});
+
+test('变量提升 - sloppy 模式下块中的函数声明', t => {
+  const { globalScope } = analyze(parse(`
+    function g() { { function foo() {} } return foo; }
+    function h() { let foo; { function foo() {} } }
+    function s() { 'use strict'; { function foo() {} } }
+  `));
+  const [gScope, hScope, sScope] = globalScope.children;
+  t.is(gScope.bindings.get('foo').references.length, 1);
+  t.deepEqual(bindingsOf(gScope.children[0]), []);
+  t.deepEqual(bindingsOf(hScope.children[0]), ['function:foo']);
+  t.deepEqual(bindingsOf(sScope.children[0]), ['function:foo']);
+});
+
+test('遮蔽 - 内层声明不影响外层引用', t => {
+  const manager = analyze(parse(`
+    let x = 1;
+    function f(x) { return x; }
+    { let x = 2; x; }
+    x;
+  `));
+  const outer = manager.globalScope.bindings.get('x');
+  t.deepEqual(outer.references.map(r => r.init), [true, false]);
+  const [fScope, blockScope] = manager.globalScope.children;
+  t.is(fScope.bindings.get('x').references.length, 1);
+  t.is(blockScope.bindings.get('x').references.length, 2);
+});
+
+test('引用 - 读写标记', t => {
+  const { globalScope } = analyze(parse(`
+    var a, b, c, d, e;
+    a = 1;
+    b += 1;
+    c++;
+    [d, { e }] = [a, b];
+    for (a in d) {}
+  `));
+  const flags = name => globalScope.bindings.get(name).references
+    .map(r => (r.isReadWrite() ? 'rw' : r.isWrite() ? 'w' : 'r'));
+  t.deepEqual(flags('a'), ['w', 'r', 'w']);
+  t.deepEqual(flags('b'), ['rw', 'r']);
+  t.deepEqual(flags('c'), ['rw']);
+  t.deepEqual(flags('d'), ['w', 'r']);
+  t.deepEqual(flags('e'), ['w']);
+});
+
+test('引用 - 数组和解构中的空位', t => {
+  const { globalScope } = analyze(parse(`
+    var x, p, q;
+    var arr = [, x];
+    var [, a] = arr;
+    [, p] = q;
+  `));
+  const flags = name => globalScope.bindings.get(name).references
+    .map(r => (r.isReadWrite() ? 'rw' : r.isWrite() ? 'w' : 'r'));
+  t.deepEqual(flags('x'), ['r']);
+  t.deepEqual(flags('a'), ['w']);
+  t.deepEqual(flags('p'), ['w']);
+  t.deepEqual(flags('q'), ['r']);
+});
+
+test('引用 - 属性名、标签不是变量', t => {
+  const code = `
+    var foo;
+    foo: while (true) {
+      foo = { foo: foo.foo, [foo]: 1, foo };
+      break foo;
+    }
+  `;
+  const { globalScope } = analyze(parse(code));
+  const references = globalScope.bindings.get('foo').references;
+  t.deepEqual(
+    references.map(r => code.slice(r.identifier.start - 1, r.identifier.end + 1)),
+    [' foo ', ' foo.', '[foo]', ' foo '],
+  );
+  t.true(references[0].isWrite());
+});
+
+test('未声明的引用记录在 through 中', t => {
+  const { globalScope } = analyze(parse('function f() { return console.log(a, arguments); }'));
+  t.deepEqual(globalScope.through.map(r => r.name), ['console', 'a']);
+});
+
+test('函数表达式名与 getBinding', t => {
+  const ast = parse('var f = function g() { return g; };');
+  const manager = analyze(ast);
+  const fn = ast.body[0].declarations[0].init;
+  const binding = manager.getBinding(fn.id);
+  t.is(binding.kind, 'function');
+  t.is(binding.scope, manager.acquire(fn));
+  t.is(manager.getBinding(fn.body.body[0].argument), binding);
+  t.false(manager.globalScope.bindings.has('g'));
+});
@@ -0,0 +1,183 @@
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Base64 VLQ 编码，最低位是符号位，每 5 位一组，第 6 位表示后面还有数据
+ * @param {number} value
+ * @returns {string}
+ */
+const encodeVLQ = value => {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let result = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    result += BASE64[digit];
+  } while (vlq > 0);
+  return result;
+};
+
+/**
+ * 解码一行中的一段 VLQ
+ * @param {string} segment
+ * @returns {number[]}
+ */
+const decodeVLQ = segment => {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of segment) {
+    const digit = BASE64.indexOf(char);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+};
+
+/**
+ * 生成 v3 source map，只支持单个源文件
+ * 可以直接作为 astring.generate 的 sourceMap 参数
+ */
+class SourceMapGenerator {
+  /**
+   * @param {{ file?: string, source?: string, sourceContent?: string }} options
+   *   file 为生成的文件名，source 为源文件名，sourceContent 为源代码
+   */
+  constructor({ file = null, source = 'input.js', sourceContent = null } = {}) {
+    this._file = file;
+    this.source = source;
+    this.sourceContent = sourceContent;
+    this.names = [];
+    /**
+     * @type {Array<{ generatedLine: number, generatedColumn: number, originalLine: number, originalColumn: number, name?: string }>}
+     */
+    this.mappings = [];
+  }
+
+  /**
+   * 添加一条映射，行从 1 开始，列从 0 开始
+   * astring 会复用同一个 mapping 对象，这里需要拷贝出具体的值
+   * @param {{ generated: { line: number, column: number }, original: { line: number, column: number }, name?: string }} mapping
+   */
+  addMapping({ generated, original, name }) {
+    this.mappings.push({
+      generatedLine: generated.line,
+      generatedColumn: generated.column,
+      originalLine: original.line,
+      originalColumn: original.column,
+      name,
+    });
+    if (name !== undefined && !this.names.includes(name)) {
+      this.names.push(name);
+    }
+  }
+
+  _serializeMappings() {
+    const mappings = [...this.mappings].sort((a, b) =>
+      a.generatedLine - b.generatedLine || a.generatedColumn - b.generatedColumn);
+
+    let result = '';
+    let line = 1;
+    let previousColumn = 0;
+    let previousOriginalLine = 0;
+    let previousOriginalColumn = 0;
+    let previousName = 0;
+    let previous = null;
+
+    for (const mapping of mappings) {
+      if (previous
+        && previous.generatedLine === mapping.generatedLine
+        && previous.generatedColumn === mapping.generatedColumn) {
+        continue;
+      }
+      while (line < mapping.generatedLine) {
+        result += ';';
+        line++;
+        previousColumn = 0;
+        previous = null;
+      }
+      if (previous) result += ',';
+
+      // 源文件只有一个，下标的差值总是 0
+      let segment = encodeVLQ(mapping.generatedColumn - previousColumn)
+        + encodeVLQ(0)
+        + encodeVLQ(mapping.originalLine - 1 - previousOriginalLine)
+        + encodeVLQ(mapping.originalColumn - previousOriginalColumn);
+      previousColumn = mapping.generatedColumn;
+      previousOriginalLine = mapping.originalLine - 1;
+      previousOriginalColumn = mapping.originalColumn;
+
+      if (mapping.name !== undefined) {
+        const name = this.names.indexOf(mapping.name);
+        segment += encodeVLQ(name - previousName);
+        previousName = name;
+      }
+      result += segment;
+      previous = mapping;
+    }
+    return result;
+  }
+
+  toJSON() {
+    const map = {
+      version: 3,
+      sources: [this.source],
+      names: this.names,
+      mappings: this._serializeMappings(),
+    };
+    if (this._file) map.file = this._file;
+    if (this.sourceContent != null) map.sourcesContent = [this.sourceContent];
+    return map;
+  }
+
+  toString() {
+    return JSON.stringify(this.toJSON());
+  }
+}
+
+/**
+ * 把 mappings 字段解码成绝对位置，行从 1 开始，列从 0 开始
+ * @param {{ mappings: string, names: string[] }} map
+ * @returns {Array<{ generatedLine: number, generatedColumn: number, originalLine: number, originalColumn: number, name?: string }>}
+ */
+function decodeMappings(map) {
+  const result = [];
+  let originalLine = 0;
+  let originalColumn = 0;
+  let name = 0;
+  map.mappings.split(';').forEach((line, index) => {
+    let column = 0;
+    for (const segment of line.split(',').filter(Boolean)) {
+      const values = decodeVLQ(segment);
+      column += values[0];
+      if (values.length < 4) continue;
+      originalLine += values[2];
+      originalColumn += values[3];
+      const mapping = {
+        generatedLine: index + 1,
+        generatedColumn: column,
+        originalLine: originalLine + 1,
+        originalColumn,
+      };
+      if (values.length > 4) {
+        name += values[4];
+        mapping.name = map.names[name];
+      }
+      result.push(mapping);
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  SourceMapGenerator,
+  decodeMappings,
+  encodeVLQ,
+  decodeVLQ,
+};
@@ -1,22 +1,34 @@
+const { expandType } = require('./node-types');
+const NodePath = require('./node-path');
 
 const isNode = target =>
   target && typeof target.type === 'string';
 
 const isNodeArray = target =>
-  Array.isArray(target) && target[0] && isNode(target[0]);
+  Array.isArray(target) && target.some(isNode);
 
 const isChildNode = target =>
   isNodeArray(target) || isNode(target);
 
+// 挂在节点上的注释也有 type 字段，不能当作子节点
+const COMMENT_KEYS = ['comments', 'leadingComments', 'trailingComments'];
+
 const getChildrenKeys = node =>
-  Object.keys(node).filter(key => isChildNode(node[key]));
+  Object.keys(node).filter(key => !COMMENT_KEYS.includes(key) && isChildNode(node[key]));
 
 const traverseChildren = func => (node, ctx) => {
   if (isNode(node)) {
     for (const key of getChildrenKeys(node)) {
       if (Array.isArray(node[key])) {
         for (let i = 0; i < node[key].length; i++) {
-          node[key][i] = node[key][i] && func(node[key][i], ctx);
+          if (!node[key][i]) continue;
+          const child = func(node[key][i], ctx);
+          // 返回空值表示删除该节点，直接从数组中移除
+          if (child == null) {
+            node[key].splice(i--, 1);
+          } else {
+            node[key][i] = child;
+          }
         }
       } else {
         node[key] = func(node[key], ctx);
@@ -32,4 +44,144 @@ const traverse = func => {
   return _traverse;
 };
 
-module.exports = traverse;
\ No newline at end of file
+/**
+ * 把 visitor 对象整理成 { [type]: { enter: [], exit: [] } } 的形式
+ * 支持 `Type(path) {}`、`Type: { enter, exit }`、`'A|B'` 和别名，
+ * 顶层的 enter / exit 对所有节点生效，记在 '*' 下
+ * @param {Object} visitor
+ * @returns {Object}
+ */
+const explode = visitor => {
+  if (visitor._exploded) return visitor;
+
+  const exploded = { _exploded: true };
+  const add = (type, phase, fn) => {
+    if (typeof fn !== 'function') return;
+    exploded[type] = exploded[type] || { enter: [], exit: [] };
+    exploded[type][phase].push(fn);
+  };
+
+  for (const key of Object.keys(visitor)) {
+    if (key === 'enter' || key === 'exit') {
+      add('*', key, visitor[key]);
+      continue;
+    }
+
+    const handler = visitor[key];
+    const { enter, exit } = typeof handler === 'function' ? { enter: handler } : handler;
+    for (const name of key.split('|')) {
+      for (const type of expandType(name.trim())) {
+        add(type, 'enter', enter);
+        add(type, 'exit', exit);
+      }
+    }
+  }
+
+  return exploded;
+};
+
+const getHandlers = (exploded, type, phase) => [
+  ...(exploded['*'] ? exploded['*'][phase] : []),
+  ...(exploded[type] ? exploded[type][phase] : []),
+];
+
+const visitChildren = (path, exploded, state) => {
+  const { context } = path;
+  for (const key of getChildrenKeys(path.node)) {
+    if (Array.isArray(path.node[key])) {
+      // 遍历过程中数组可能被修改，每次都重新读取长度，并按 path 的最新下标继续
+      for (let i = 0; i < path.node[key].length; i++) {
+        const child = path.node[key][i];
+        if (!isNode(child) || context.visited.has(child)) continue;
+        const childPath = path._child(key, i);
+        visitPath(childPath, exploded, state);
+        if (context.stopped) return;
+        drainQueue(context, exploded, state);
+        if (context.stopped) return;
+        i = childPath.removed ? childPath.index - 1 : childPath.index;
+      }
+    } else if (isNode(path.node[key]) && !context.visited.has(path.node[key])) {
+      visitPath(path._child(key), exploded, state);
+      if (context.stopped) return;
+      drainQueue(context, exploded, state);
+    }
+    if (context.stopped || path.removed) return;
+  }
+};
+
+/**
+ * 访问被替换或新插入的节点
+ */
+const drainQueue = (context, exploded, state) => {
+  while (context.queue.length && !context.stopped) {
+    const path = context.queue.shift();
+    if (!path.removed && isNode(path.node) && !context.visited.has(path.node)) {
+      visitPath(path, exploded, state);
+    }
+  }
+};
+
+// 回调执行后节点被删除、替换、跳过或遍历被终止时，不再执行后续回调
+const call = (exploded, phase, path, state) => {
+  const { context } = path;
+  for (const fn of getHandlers(exploded, path.node.type, phase)) {
+    fn.call(state, path, state);
+    if (context.stopped || path.removed || path.shouldSkip || path._replaced) return;
+  }
+};
+
+const visitPath = (path, exploded, state) => {
+  const { context } = path;
+  context.visited.add(path.node);
+  path.shouldSkip = false;
+  path._replaced = false;
+
+  call(exploded, 'enter', path, state);
+  if (context.stopped || path.removed || path.shouldSkip) return;
+  // enter 中替换了节点，立即访问新节点
+  if (path._replaced) {
+    if (isNode(path.node)) visitPath(path, exploded, state);
+    return;
+  }
+
+  visitChildren(path, exploded, state);
+  if (context.stopped || path.removed) return;
+
+  // exit 中替换的节点已经在队列中，由 drainQueue 访问
+  call(exploded, 'exit', path, state);
+};
+
+/**
+ * 使用 visitor 对象遍历 AST
+ * 每个节点先调用 enter，遍历完子节点后调用 exit，回调签名为 (path, state)
+ * 可以通过 path.skip() 跳过子树、path.stop() 结束遍历，替换和插入的新节点会被自动访问
+ *
+ * options.immutable 为 true 时不修改传入的 AST，只复制从根节点到修改处路径上的节点，
+ * 其余子树与原 AST 共享，此时节点需要通过 path.set / path.replaceWith 等方法修改
+ * @param {Object} root
+ * @param {Object} visitor
+ * @param {*} state
+ * @param {{ immutable?: boolean }} options
+ * @returns {Object} 遍历后的 root，根节点被替换或 immutable 模式下发生修改时返回新节点
+ */
+const visit = (root, visitor, state, options = {}) => {
+  const exploded = explode(visitor);
+  const context = {
+    root,
+    queue: [],
+    visited: new WeakSet(),
+    stopped: false,
+    immutable: Boolean(options.immutable),
+    copies: new WeakSet(),
+  };
+  if (isNode(root)) {
+    visitPath(new NodePath(context, root), exploded, state);
+    drainQueue(context, exploded, state);
+  }
+  return context.root;
+};
+
+module.exports = traverse;
+module.exports.visit = visit;
+module.exports.explode = explode;
+module.exports.NodePath = NodePath;
\ No newline at end of file
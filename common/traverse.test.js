@@ -0,0 +1,260 @@
+const acorn = require('acorn');
+const traverse = require('./traverse');
+const test = require('ava');
+
+const parse = code => acorn.parse(code, { ecmaVersion: 2020 });
+
+test('visitor - enter / exit 顺序', t => {
+  const order = [];
+  traverse.visit(parse('a + b'), {
+    BinaryExpression: {
+      enter() { order.push('enter:+'); },
+      exit() { order.push('exit:+'); },
+    },
+    Identifier(path) {
+      order.push(path.node.name);
+    },
+  });
+  t.deepEqual(order, ['enter:+', 'a', 'b', 'exit:+']);
+});
+
+test('visitor - 以空位开头的数组', t => {
+  const names = [];
+  traverse.visit(parse('[, x]; var [, a] = b; [, p] = q;'), {
+    Identifier(path) {
+      names.push(path.node.name);
+    },
+  });
+  t.deepEqual(names, ['x', 'a', 'b', 'p', 'q']);
+});
+
+test('visitor - 别名与多类型', t => {
+  const types = [];
+  traverse.visit(parse('function f() {} var g = () => 1; for (;;) {} while (0) {}'), {
+    Function(path) { types.push(path.type); },
+    'ForStatement|WhileStatement'(path) { types.push(path.type); },
+  });
+  t.deepEqual(types, [
+    'FunctionDeclaration',
+    'ArrowFunctionExpression',
+    'ForStatement',
+    'WhileStatement',
+  ]);
+});
+
+test('visitor - 顶层 enter 与 state', t => {
+  const state = { count: 0 };
+  traverse.visit(parse('[1, , 2]'), {
+    enter(path, s) { s.count++; },
+  }, state);
+  // Program, ExpressionStatement, ArrayExpression, Literal x2
+  t.is(state.count, 5);
+});
+
+test('函数式 traverse 保持不变', t => {
+  const root = traverse((node, ctx, next) => {
+    if (node.type === 'Identifier') node.name = node.name.toUpperCase();
+    return next(node, ctx);
+  })(parse('a + b'));
+  const { left, right } = root.body[0].expression;
+  t.is(left.name, 'A');
+  t.is(right.name, 'B');
+});
+
+test('path - parent / parentKey / listKey / index', t => {
+  const seen = [];
+  traverse.visit(parse('foo(a, b)'), {
+    Identifier(path) {
+      seen.push([path.node.name, path.parent.type, path.parentKey, path.listKey, path.index]);
+    },
+  });
+  t.deepEqual(seen, [
+    ['foo', 'CallExpression', 'callee', null, null],
+    ['a', 'CallExpression', 'arguments', 'arguments', 0],
+    ['b', 'CallExpression', 'arguments', 'arguments', 1],
+  ]);
+});
+
+test('path - remove 会从数组中移除', t => {
+  const root = traverse.visit(parse('a; b; c; d;'), {
+    Identifier(path) {
+      if (path.node.name === 'b' || path.node.name === 'c') {
+        path.parentPath.remove();
+      }
+    },
+  });
+  t.deepEqual(root.body.map(s => s.expression.name), ['a', 'd']);
+});
+
+test('path - replaceWith / replaceWithMultiple', t => {
+  const root = traverse.visit(parse('a; b;'), {
+    ExpressionStatement(path) {
+      const { name } = path.node.expression;
+      if (name === 'a') {
+        path.replaceWithMultiple([
+          { type: 'ExpressionStatement', expression: { type: 'Identifier', name: 'x' } },
+          { type: 'ExpressionStatement', expression: { type: 'Identifier', name: 'y' } },
+        ]);
+      }
+    },
+    Identifier(path) {
+      if (path.node.name === 'b') {
+        path.replaceWith({ type: 'Identifier', name: 'z' });
+      }
+    },
+  });
+  t.deepEqual(root.body.map(s => s.expression.name), ['x', 'y', 'z']);
+});
+
+test('path - insertBefore / insertAfter', t => {
+  const stmt = name => ({ type: 'ExpressionStatement', expression: { type: 'Identifier', name } });
+  const visited = [];
+  const root = traverse.visit(parse('a; b;'), {
+    ExpressionStatement(path) {
+      const { name } = path.node.expression;
+      visited.push(name);
+      if (name === 'a') {
+        path.insertBefore(stmt('before'));
+        path.insertAfter([stmt('after1'), stmt('after2')]);
+        t.is(path.index, 1);
+      }
+    },
+  });
+  t.deepEqual(root.body.map(s => s.expression.name), ['before', 'a', 'after1', 'after2', 'b']);
+  t.deepEqual(visited, ['a', 'before', 'after1', 'after2', 'b']);
+});
+
+test('path - 非数组位置不能插入', t => {
+  t.throws(() => traverse.visit(parse('a + b'), {
+    BinaryExpression(path) {
+      path.insertAfter({ type: 'Identifier', name: 'c' });
+    },
+  }), { message: /requires a node in a list/ });
+});
+
+test('函数式 traverse 返回 null 时移除数组元素', t => {
+  const root = traverse((node, ctx, next) => {
+    if (node.type === 'ExpressionStatement' && node.expression.name === 'b') return null;
+    return next(node, ctx);
+  })(parse('a; b; c;'));
+  t.deepEqual(root.body.map(s => s.expression.name), ['a', 'c']);
+});
+
+test('控制 - skip 跳过子树和 exit', t => {
+  const seen = [];
+  traverse.visit(parse('f(a); g(b);'), {
+    CallExpression: {
+      enter(path) {
+        if (path.node.callee.name === 'f') path.skip();
+      },
+      exit(path) {
+        seen.push(`exit:${path.node.callee.name}`);
+      },
+    },
+    Identifier(path) {
+      seen.push(path.node.name);
+    },
+  });
+  t.deepEqual(seen, ['g', 'b', 'exit:g']);
+});
+
+test('控制 - stop 结束整个遍历', t => {
+  const seen = [];
+  traverse.visit(parse('a; b; c;'), {
+    Identifier(path) {
+      seen.push(path.node.name);
+      if (path.node.name === 'b') path.stop();
+    },
+    exit() {
+      seen.push('exit');
+    },
+  });
+  t.deepEqual(seen, ['a', 'exit', 'exit', 'b']);
+});
+
+test('控制 - 替换后的节点会被重新访问直到不动点', t => {
+  // 常量折叠：exit 中替换的节点会被重新访问，父节点可以继续折叠
+  const root = traverse.visit(parse('1 + 2 + 3 + x'), {
+    BinaryExpression: {
+      exit(path) {
+        const { left, right } = path.node;
+        if (left.type === 'Literal' && right.type === 'Literal') {
+          path.replaceWith({ type: 'Literal', value: left.value + right.value });
+        }
+      },
+    },
+  });
+  const { expression } = root.body[0];
+  t.is(expression.left.value, 6);
+  t.is(expression.right.name, 'x');
+});
+
+test('控制 - enter 中替换节点会立即访问新节点', t => {
+  const seen = [];
+  traverse.visit(parse('a;'), {
+    Identifier(path) {
+      seen.push(path.node.name);
+      if (path.node.name === 'a') {
+        path.replaceWith({ type: 'Identifier', name: 'b' });
+      }
+    },
+  });
+  t.deepEqual(seen, ['a', 'b']);
+});
+
+test('控制 - requeue 重新访问原地修改的节点', t => {
+  const seen = [];
+  traverse.visit(parse('a;'), {
+    Identifier(path) {
+      seen.push(path.node.name);
+      if (path.node.name.length < 3) {
+        path.node.name += 'a';
+        path.requeue();
+      }
+    },
+  });
+  t.deepEqual(seen, ['a', 'aa', 'aaa']);
+});
+
+test('immutable - 不修改原 AST 并共享未修改的子树', t => {
+  const ast = parse('a + 1; b; function f() { return c; }');
+  const snapshot = JSON.stringify(ast);
+  const root = traverse.visit(ast, {
+    Identifier(path) {
+      if (path.node.name === 'a') path.set('name', 'x');
+      if (path.node.name === 'c') path.replaceWith({ type: 'Literal', value: 1, raw: '1' });
+    },
+    ExpressionStatement(path) {
+      if (path.node.expression.name === 'b') path.insertAfter(parse('d;').body[0]);
+    },
+  }, null, { immutable: true });
+
+  t.is(JSON.stringify(ast), snapshot);
+  t.not(root, ast);
+  t.is(root.body[0].expression.left.name, 'x');
+  t.is(root.body[0].expression.right, ast.body[0].expression.right);
+  t.is(root.body[1], ast.body[1]);
+  t.is(root.body[2].expression.name, 'd');
+  t.is(root.body[3].body.body[0].argument.value, 1);
+  t.is(root.body[3].id, ast.body[2].id);
+});
+
+test('immutable - 没有修改时返回原 AST', t => {
+  const ast = parse('a + b');
+  const root = traverse.visit(ast, { Identifier() {} }, null, { immutable: true });
+  t.is(root, ast);
+});
+
+test('immutable - 修改子节点不会重新访问父节点', t => {
+  const seen = [];
+  traverse.visit(parse('a + b'), {
+    BinaryExpression() {
+      seen.push('+');
+    },
+    Identifier(path) {
+      seen.push(path.node.name);
+      path.set('name', path.node.name.toUpperCase());
+    },
+  }, null, { immutable: true });
+  t.deepEqual(seen, ['+', 'a', 'b']);
+});
@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { renameSource, findReferences } = require("./rename");
+const { renameExport } = require("./commonjs");
+const { formatUnifiedDiff } = require("../../common/diff");
+
+const USAGE = `Usage:
+  jsjs-rename [options] <file|glob>... <oldName> <newName>
+  jsjs-rename [options] --position <line:column> <file> <newName>
+  jsjs-rename [options] --follow-exports <file> <file|glob>... <oldName> <newName>
+
+Options:
+  --position <line:column>  只改名该位置上的绑定，行从 1 开始，列从 0 开始
+  --dry-run                 不修改文件，输出 unified diff
+  --check                   不修改文件，只列出会被修改的文件，有修改时退出码为 1
+  --on-conflict <mode>      error（默认）或 suffix
+  --follow-exports <file>   改名 <file> 导出的名字，并更新其他文件中通过 require 引用它的地方
+  --module                  按 ES module 解析
+  -h, --help                显示帮助
+`;
+
+/**
+ * 解析命令行参数，出错时抛出带 usage 标记的错误
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  const options = {
+    dryRun: false,
+    check: false,
+    onConflict: "error",
+    sourceType: "script",
+    position: null,
+    followExports: null,
+  };
+  const positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw usageError(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--check") {
+      options.check = true;
+    } else if (arg === "--module") {
+      options.sourceType = "module";
+    } else if (arg === "--on-conflict") {
+      options.onConflict = next();
+      if (!["error", "suffix"].includes(options.onConflict)) {
+        throw usageError(`Invalid --on-conflict ${options.onConflict}`);
+      }
+    } else if (arg === "--follow-exports") {
+      options.followExports = next();
+    } else if (arg === "--position") {
+      const match = /^(\d+):(\d+)$/.exec(next());
+      if (!match) throw usageError("--position should be <line:column>");
+      options.position = { line: Number(match[1]), column: Number(match[2]) };
+    } else if (arg.startsWith("-") && arg !== "-") {
+      throw usageError(`Unknown option ${arg}`);
+    } else {
+      positionals.push(arg);
+    }
+  }
+  if (options.help) return options;
+
+  if (options.position && !options.followExports) {
+    if (positionals.length !== 2) throw usageError("Expected <file> <newName> with --position");
+    [options.patterns, options.newName] = [[positionals[0]], positionals[1]];
+  } else {
+    const min = options.followExports ? 2 : 3;
+    if (positionals.length < min) throw usageError("Expected <file|glob>... <oldName> <newName>");
+    options.patterns = positionals.slice(0, -2);
+    [options.oldName, options.newName] = positionals.slice(-2);
+  }
+  return options;
+}
+
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * 把 glob 转成匹配相对路径的正则，支持 *、** 和 ?
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // **/ 可以匹配零层或多层目录
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+const isGlob = (pattern) => /[*?]/.test(pattern);
+
+/**
+ * 展开 glob，跳过 node_modules 和隐藏目录，不是 glob 的参数原样返回
+ * @param {string} pattern
+ * @param {string} cwd
+ * @returns {string[]} 相对 cwd 的路径，绝对路径的 pattern 得到绝对路径，按字母排序
+ */
+function expandGlob(pattern, cwd) {
+  const normalized = pattern.split(path.sep).join("/");
+  if (!isGlob(normalized)) return [pattern];
+
+  // 从第一个包含通配符的目录开始遍历
+  const segments = normalized.split("/");
+  // /*.js 的 base 是根目录
+  const base = segments.slice(0, segments.findIndex(isGlob)).join("/") || (normalized.startsWith("/") ? "/" : "");
+  const regexp = globToRegExp(normalized);
+  const files = [];
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.resolve(cwd, dir || "."), { withFileTypes: true });
+    } catch (error) {
+      // 目录不存在时没有匹配的文件
+      if (error.code === "ENOENT" || error.code === "ENOTDIR") return;
+      throw error;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+      const relative = dir ? path.posix.join(dir, entry.name) : entry.name;
+      if (entry.isDirectory()) {
+        walk(relative);
+      } else if (regexp.test(relative)) {
+        files.push(relative);
+      }
+    }
+  };
+  walk(base);
+  return files.sort();
+}
+
+const readFile = (cwd, file) => fs.readFileSync(path.resolve(cwd, file), "utf8");
+
+/**
+ * 在每个文件中单独改名，先处理所有文件，任何一个失败都返回 null
+ * @returns {Array<{ file: string, source: string, code: string, edits: SourceEdit[], name: string }> | null}
+ */
+function renameInFiles(files, options, { cwd, stderr }) {
+  const results = [];
+  let failed = false;
+  for (const file of files) {
+    try {
+      const code = readFile(cwd, file);
+      let { oldName } = options;
+      if (options.position) {
+        const [occurrence] = findReferences(code, options.position.line, options.position.column, {
+          sourceType: options.sourceType,
+        });
+        if (!occurrence) {
+          throw new Error(`No variable at ${options.position.line}:${options.position.column}`);
+        }
+        oldName = occurrence.name;
+      }
+      const result = renameSource(code, oldName, options.newName, {
+        position: options.position || undefined,
+        onConflict: options.onConflict,
+        sourceType: options.sourceType,
+      });
+      if (result.edits.length) results.push({ file, source: code, ...result });
+    } catch (error) {
+      failed = true;
+      stderr.write(`${file}: ${error.message}\n`);
+    }
+  }
+  return failed ? null : results;
+}
+
+/**
+ * 跨文件改名导出的名字，无法分析的 require 作为警告输出，失败时返回 null
+ */
+function renameExportInFiles(files, options, { cwd, stderr }) {
+  const toKey = (file) => path.posix.normalize(file.split(path.sep).join("/"));
+  const sources = {};
+  const definition = toKey(options.followExports);
+  try {
+    files.forEach((file) => {
+      sources[toKey(file)] = readFile(cwd, file);
+    });
+    const { name, files: output, edits, unresolved } = renameExport(
+      sources,
+      definition,
+      options.oldName,
+      options.newName,
+      { position: options.position || undefined, onConflict: options.onConflict }
+    );
+    for (const { file, line, column, reason } of unresolved) {
+      stderr.write(`${file}:${line}:${column}: warning: ${reason}\n`);
+    }
+    return Object.keys(output).map((file) => ({
+      file,
+      source: sources[file],
+      code: output[file],
+      edits: edits[file],
+      name,
+    }));
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return null;
+  }
+}
+
+/**
+ * 执行命令行，返回退出码：0 成功，1 有冲突或改名失败（--check 时表示有文件需要修改），2 参数错误
+ * @param {string[]} argv
+ * @param {{ cwd?: string, stdout?: { write: Function }, stderr?: { write: Function } }} io
+ * @returns {number}
+ */
+function main(argv, io = {}) {
+  const { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr } = io;
+
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  const files = [...new Set([
+    ...(options.followExports ? [options.followExports] : []),
+    ...options.patterns.flatMap((pattern) => expandGlob(pattern, cwd)),
+  ])];
+  if (!files.length) {
+    stderr.write(`No files matched ${options.patterns.join(" ")}\n`);
+    return 2;
+  }
+
+  const results = options.followExports
+    ? renameExportInFiles(files, options, { cwd, stderr })
+    : renameInFiles(files, options, { cwd, stderr });
+  if (!results) return 1;
+
+  for (const { file, source, code, edits, name } of results) {
+    const summary = `${edits.length} occurrence${edits.length > 1 ? "s" : ""} -> ${name}`;
+    if (options.check) {
+      stdout.write(`${file}: would rename ${summary}\n`);
+    } else if (options.dryRun) {
+      stdout.write(formatUnifiedDiff(source, code, {
+        oldFile: `a/${file}`,
+        newFile: `b/${file}`,
+      }));
+    } else {
+      fs.writeFileSync(path.resolve(cwd, file), code);
+      stdout.write(`${file}: renamed ${summary}\n`);
+    }
+  }
+  return options.check && results.length ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = main;
+module.exports.parseArgs = parseArgs;
+module.exports.expandGlob = expandGlob;
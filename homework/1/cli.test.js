@@ -0,0 +1,138 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const main = require('./cli')
+const { expandGlob } = main
+const test = require('ava')
+
+function createProject(t, files) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'jsjs-rename-'))
+  t.teardown(() => fs.rmSync(cwd, { recursive: true, force: true }))
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.join(cwd, path.dirname(file)), { recursive: true })
+    fs.writeFileSync(path.join(cwd, file), content)
+  }
+  return cwd
+}
+
+function run(cwd, argv) {
+  const output = { stdout: '', stderr: '' }
+  const code = main(argv, {
+    cwd,
+    stdout: { write: text => { output.stdout += text } },
+    stderr: { write: text => { output.stderr += text } },
+  })
+  return { code, ...output }
+}
+
+const read = (cwd, file) => fs.readFileSync(path.join(cwd, file), 'utf8')
+
+test('命令行 - 改写文件并保留格式', t => {
+  const cwd = createProject(t, {
+    'src/a.js': '// 注释\nvar  foo = 1;\nuse({ foo });\n',
+    'src/lib/b.js': 'function f(foo) { return foo; }\n',
+    'src/c.js': 'var other;\n',
+  })
+  const result = run(cwd, ['src/**/*.js', 'foo', 'bar'])
+  t.is(result.code, 0)
+  t.is(result.stdout, 'src/a.js: renamed 2 occurrences -> bar\nsrc/lib/b.js: renamed 2 occurrences -> bar\n')
+  t.is(read(cwd, 'src/a.js'), '// 注释\nvar  bar = 1;\nuse({ foo: bar });\n')
+  t.is(read(cwd, 'src/lib/b.js'), 'function f(bar) { return bar; }\n')
+  t.is(read(cwd, 'src/c.js'), 'var other;\n')
+})
+
+test('命令行 - 按位置改名', t => {
+  const cwd = createProject(t, { 'a.js': 'var x = 1;\nfunction f(x) {\n  return x;\n}\n' })
+  t.is(run(cwd, ['--position', '3:9', 'a.js', 'y']).code, 0)
+  t.is(read(cwd, 'a.js'), 'var x = 1;\nfunction f(y) {\n  return y;\n}\n')
+  t.is(run(cwd, ['--position', '3:2', 'a.js', 'y']).stderr, 'a.js: No variable at 3:2\n')
+})
+
+test('命令行 - dry-run 输出 unified diff 且不修改文件', t => {
+  const source = 'var foo = 1;\nvar keep = 2;\nfoo++;\n'
+  const cwd = createProject(t, { 'a.js': source })
+  const result = run(cwd, ['--dry-run', 'a.js', 'foo', 'bar'])
+  t.is(result.code, 0)
+  t.is(result.stdout, [
+    '--- a/a.js',
+    '+++ b/a.js',
+    '@@ -1,3 +1,3 @@',
+    '-var foo = 1;',
+    '+var bar = 1;',
+    ' var keep = 2;',
+    '-foo++;',
+    '+bar++;',
+    '',
+  ].join('\n'))
+  t.is(read(cwd, 'a.js'), source)
+})
+
+test('命令行 - 冲突时返回非零退出码且不写入任何文件', t => {
+  const cwd = createProject(t, { 'a.js': 'var foo;\n', 'b.js': 'var foo, bar;\n' })
+  const result = run(cwd, ['*.js', 'foo', 'bar'])
+  t.is(result.code, 1)
+  t.regex(result.stderr, /^b\.js: Cannot rename foo to bar:/)
+  t.is(read(cwd, 'a.js'), 'var foo;\n')
+
+  t.is(run(cwd, ['--on-conflict', 'suffix', 'b.js', 'foo', 'bar']).code, 0)
+  t.is(read(cwd, 'b.js'), 'var bar_1, bar;\n')
+})
+
+test('命令行 - check 模式只报告需要修改的文件', t => {
+  const cwd = createProject(t, { 'a.js': 'var foo;\n', 'b.js': 'var baz;\n' })
+  const result = run(cwd, ['--check', '*.js', 'foo', 'bar'])
+  t.is(result.code, 1)
+  t.is(result.stdout, 'a.js: would rename 1 occurrence -> bar\n')
+  t.is(read(cwd, 'a.js'), 'var foo;\n')
+  t.is(run(cwd, ['--check', '*.js', 'missing', 'bar']).code, 0)
+})
+
+test('命令行 - 参数错误', t => {
+  const cwd = createProject(t, { 'a.js': '' })
+  t.is(run(cwd, ['a.js', 'foo']).code, 2)
+  t.is(run(cwd, ['--unknown', 'a.js', 'foo', 'bar']).code, 2)
+  t.is(run(cwd, ['*.ts', 'foo', 'bar']).stderr, 'No files matched *.ts\n')
+  t.regex(run(cwd, ['--help']).stdout, /^Usage:/)
+})
+
+test('命令行 - 跨文件改名导出的名字', t => {
+  const cwd = createProject(t, {
+    'lib/math.js': 'function add(a, b) { return a + b; }\nexports.add = add;\n',
+    'app.js': 'const { add } = require("./lib/math");\nadd(1, 2);\n',
+    'plugin.js': 'require(name).add;\n',
+  })
+  const result = run(cwd, ['--follow-exports', './lib/math.js', '*.js', 'add', 'plus'])
+  t.is(result.code, 0)
+  t.is(result.stderr, 'plugin.js:1:0: warning: dynamic require\n')
+  t.is(result.stdout, 'lib/math.js: renamed 3 occurrences -> plus\napp.js: renamed 2 occurrences -> plus\n')
+  t.is(read(cwd, 'lib/math.js'), 'function plus(a, b) { return a + b; }\nexports.plus = plus;\n')
+  t.is(read(cwd, 'app.js'), 'const { plus } = require("./lib/math");\nplus(1, 2);\n')
+})
+
+test('命令行 - 定义导出的文件不存在时报错', t => {
+  const cwd = createProject(t, { 'src/y.js': 'exports.a = 1;\n' })
+  const result = run(cwd, ['--follow-exports', 'src/missing.js', 'src/y.js', 'a', 'b'])
+  t.is(result.code, 1)
+  t.regex(result.stderr, /^ENOENT: no such file or directory/)
+  t.is(read(cwd, 'src/y.js'), 'exports.a = 1;\n')
+})
+
+test('expandGlob', t => {
+  const cwd = createProject(t, { 'a.js': '', 'lib/b.js': '', 'lib/c.txt': '', 'node_modules/d.js': '', '.hidden/e.js': '' })
+  t.deepEqual(expandGlob('**/*.js', cwd), ['a.js', 'lib/b.js'])
+  t.deepEqual(expandGlob('lib/?.*', cwd), ['lib/b.js', 'lib/c.txt'])
+  t.deepEqual(expandGlob('a.js', cwd), ['a.js'])
+  t.deepEqual(expandGlob('nodir/**/*.js', cwd), [])
+  t.deepEqual(expandGlob('a.js/*.js', cwd), [])
+  // 绝对路径的 glob 得到绝对路径
+  const absolute = cwd.split(path.sep).join('/')
+  t.deepEqual(expandGlob(`${absolute}/lib/*.js`, cwd), [`${absolute}/lib/b.js`])
+  t.deepEqual(expandGlob(`${absolute}/**/*.js`, os.tmpdir()), [`${absolute}/a.js`, `${absolute}/lib/b.js`])
+  const dryRun = run(os.tmpdir(), ['--dry-run', `${absolute}/*.js`, 'foo', 'bar'])
+  t.is(dryRun.code, 0)
+  t.is(dryRun.stderr, '')
+
+  const result = run(cwd, ['nodir/**/*.js', 'a', 'b'])
+  t.is(result.code, 2)
+  t.is(result.stderr, 'No files matched nodir/**/*.js\n')
+})
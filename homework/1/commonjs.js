@@ -0,0 +1,287 @@
+const path = require("path");
+const acorn = require("acorn");
+const traverse = require("../../common/traverse");
+const query = require("../../common/query");
+const { analyze } = require("../../common/scope");
+const { planRename, getSourceEdits, applyEdits, assertIdentifier } = require("./rename");
+
+/**
+ * 无法静态分析的 require 或模块对象
+ * @typedef {Object} Unresolved
+ * @property {string} file
+ * @property {number} line
+ * @property {number} column
+ * @property {string} reason
+ */
+
+/**
+ * 出错时在错误信息前加上文件名
+ */
+const withFile = (file, fn) => {
+  try {
+    return fn();
+  } catch (error) {
+    error.message = `${file}: ${error.message}`;
+    throw error;
+  }
+};
+
+const parse = (code, file) => withFile(file, () =>
+  acorn.parse(code, { ecmaVersion: "latest", sourceType: "script", locations: true }));
+
+/**
+ * 节点到 NodePath 的映射，用于查找父节点
+ * @param {Object} root
+ * @returns {Map<Object, NodePath>}
+ */
+function indexPaths(root) {
+  const paths = new Map();
+  traverse.visit(root, {
+    enter(path) {
+      paths.set(path.node, path);
+    },
+  });
+  return paths;
+}
+
+/**
+ * 非计算属性或字符串字面量属性的名字，其他情况返回 null
+ */
+function getPropertyName(node, computed) {
+  if (!computed && node.type === "Identifier") return node.name;
+  if (node.type === "Literal" && typeof node.value === "string") return node.value;
+  return null;
+}
+
+/**
+ * 属性名对应的改名替换，字符串字面量保留原来的引号
+ */
+function renamePropertyKey(node, name) {
+  const text = node.type === "Literal" ? `${node.raw[0]}${name}${node.raw[0]}` : name;
+  return { start: node.start, end: node.end, text };
+}
+
+/**
+ * 按 Node 的规则在 files 中解析相对路径的 require，不是相对路径或找不到时返回 null
+ * @param {Object<string, string>} files
+ * @param {string} from
+ * @param {string} request
+ * @returns {string | null}
+ */
+function resolveRequire(files, from, request) {
+  if (!/^\.\.?\//.test(request)) return null;
+  const base = path.posix.join(path.posix.dirname(from), request);
+  return [base, `${base}.js`, `${base}/index.js`].find((file) => file in files) || null;
+}
+
+/**
+ * 是否为没有被局部声明覆盖的全局变量，如 CommonJS 中的 module、exports、require
+ */
+const isFreeIdentifier = (manager, node, name) =>
+  node.type === "Identifier" && node.name === name && !manager.getBinding(node);
+
+/**
+ * module.exports 或 exports
+ */
+const isExportsObject = (manager, node) =>
+  isFreeIdentifier(manager, node, "exports")
+  || (node.type === "MemberExpression"
+    && isFreeIdentifier(manager, node.object, "module")
+    && getPropertyName(node.property, node.computed) === "exports");
+
+/**
+ * 找出定义文件中导出 exportName 的位置：module.exports.x、exports.x 以及 module.exports = { x }
+ * @returns {{ keys: Object[], shorthands: Object[], names: Set<string>, locals: Object[] }}
+ *   keys 为需要改名的属性名节点，shorthands 为简写的导出属性，names 为所有导出的名字，
+ *   locals 为 exports.x = a、{ x: a } 中作为导出值的标识符
+ */
+function findExports(root, manager, exportName) {
+  const keys = [];
+  const shorthands = [];
+  const names = new Set();
+  const locals = [];
+  traverse.visit(root, {
+    MemberExpression(path) {
+      const { node } = path;
+      if (!isExportsObject(manager, node.object)) return;
+      const name = getPropertyName(node.property, node.computed);
+      if (name === null) return;
+      names.add(name);
+      if (name !== exportName) return;
+      keys.push(node.property);
+      const { parent } = path;
+      if (parent.type === "AssignmentExpression" && parent.left === node && parent.right.type === "Identifier") {
+        locals.push(parent.right);
+      }
+    },
+    AssignmentExpression(path) {
+      const { node } = path;
+      if (node.right.type !== "ObjectExpression" || !isExportsObject(manager, node.left)) return;
+      for (const property of node.right.properties) {
+        if (property.type !== "Property") continue;
+        const name = getPropertyName(property.key, property.computed);
+        if (name === null) continue;
+        names.add(name);
+        if (name !== exportName) continue;
+        if (property.value.type === "Identifier") locals.push(property.value);
+        if (property.shorthand) {
+          shorthands.push(property);
+        } else {
+          keys.push(property.key);
+        }
+      }
+    },
+  });
+  return { keys, shorthands, names, locals };
+}
+
+/**
+ * 改名导出的名字，并更新其他文件中通过 require 引用它的地方
+ * 支持 require('./a').x、const { x } = require('./a') 以及 const a = require('./a'); a.x，
+ * 解构的简写会连同局部变量一起改名，参数不是字符串的 require 和无法跟踪的模块对象记录在 unresolved 中
+ * @param {Object<string, string>} files 文件路径到代码，路径使用 / 分隔
+ * @param {string} file 定义导出的文件
+ * @param {string} originName
+ * @param {string} targetName
+ * @param {Object} options
+ * @param {Position} [options.position] 定义文件中要改名的绑定所在的位置
+ * @param {('error' | 'suffix')} [options.onConflict] 见 rename 的 transform
+ * @returns {{ name: string, files: Object<string, string>, edits: Object<string, SourceEdit[]>, unresolved: Unresolved[] }}
+ *   files 只包含修改过的文件
+ */
+function renameExport(files, file, originName, targetName, options = {}) {
+  if (!(file in files)) {
+    throw new Error(`Cannot find file ${file}`);
+  }
+  const { position, onConflict } = options;
+
+  // 定义文件：导出的属性名和它引用的局部绑定一起改名，其他同名的绑定不受影响
+  const root = parse(files[file], file);
+  const manager = analyze(root);
+  const exported = findExports(root, manager, originName);
+  const local = exported.locals.find((identifier) =>
+    identifier.name === originName && manager.getBinding(identifier));
+  const { name, identifiers } = withFile(file, () => {
+    if (position == null && !local) {
+      // 导出的值不是同名的局部变量，只改属性名
+      assertIdentifier(targetName);
+      return { name: targetName, identifiers: new Set() };
+    }
+    return planRename(root, originName, targetName, { position: position ?? local.start, onConflict });
+  });
+  if (name !== originName && exported.names.has(name)) {
+    throw new Error(`Cannot rename export ${originName} to ${name}: ${name} is already exported by ${file}`);
+  }
+
+  const editsByFile = {};
+  const addEdits = (target, edits) => {
+    const merged = new Map((editsByFile[target] || []).map((edit) => [edit.start, edit]));
+    edits.forEach((edit) => merged.set(edit.start, edit));
+    editsByFile[target] = [...merged.values()].sort((a, b) => a.start - b.start);
+  };
+
+  addEdits(file, getSourceEdits(root, identifiers, name));
+  addEdits(file, exported.keys.map((key) => renamePropertyKey(key, name)));
+  // 导出对象中的简写属性，局部变量也改了名时保持简写
+  addEdits(file, exported.shorthands.map(({ key, value }) => ({
+    start: key.start,
+    end: value.end,
+    text: identifiers.has(value) ? name : `${name}: ${value.name}`,
+  })));
+
+  const unresolved = [];
+  const report = (target, node, reason) => {
+    unresolved.push({ file: target, line: node.loc.start.line, column: node.loc.start.column, reason });
+  };
+
+  for (const [dependent, code] of Object.entries(files)) {
+    if (dependent === file) continue;
+    const dependentRoot = parse(code, dependent);
+    const dependentManager = analyze(dependentRoot);
+    const paths = indexPaths(dependentRoot);
+    const edits = [];
+
+    // 访问模块对象的属性，返回是否能静态确定属性名
+    const renameMember = (memberPath) => {
+      const { node } = memberPath;
+      const property = getPropertyName(node.property, node.computed);
+      if (property === null) return false;
+      if (property === originName) edits.push(renamePropertyKey(node.property, name));
+      return true;
+    };
+
+    for (const { node: call, parentPath } of query(dependentRoot, 'CallExpression[callee.name="require"]')) {
+      if (!isFreeIdentifier(dependentManager, call.callee, "require") || call.arguments.length !== 1) continue;
+      const [argument] = call.arguments;
+      const request = argument.type === "Literal" && typeof argument.value === "string"
+        ? argument.value
+        : argument.type === "TemplateLiteral" && !argument.expressions.length
+          ? argument.quasis[0].value.cooked
+          : null;
+      if (request === null) {
+        report(dependent, call, "dynamic require");
+        continue;
+      }
+      if (resolveRequire(files, dependent, request) !== file) continue;
+
+      const parent = parentPath.node;
+      // 只为了副作用引入
+      if (parent.type === "ExpressionStatement") continue;
+      if (parent.type === "MemberExpression" && parent.object === call) {
+        if (!renameMember(parentPath)) report(dependent, parent, "dynamic property access");
+      } else if (parent.type === "VariableDeclarator" && parent.init === call && parent.id.type === "ObjectPattern") {
+        for (const property of parent.id.properties) {
+          if (property.type !== "Property") {
+            // ...rest 会拿到所有剩余的导出
+            report(dependent, property, "rest element in destructured require");
+            continue;
+          }
+          if (getPropertyName(property.key, property.computed) !== originName) continue;
+          if (!property.shorthand) {
+            edits.push(renamePropertyKey(property.key, name));
+            continue;
+          }
+          // 简写解构连同局部变量一起改名
+          const local = property.value.type === "AssignmentPattern" ? property.value.left : property.value;
+          const plan = withFile(dependent, () =>
+            planRename(dependentRoot, local.name, name, { position: local.start, onConflict }));
+          edits.push(...getSourceEdits(dependentRoot, plan.identifiers, plan.name));
+          edits.push({
+            start: local.start,
+            end: local.end,
+            text: plan.name === name ? name : `${name}: ${plan.name}`,
+          });
+        }
+      } else if (parent.type === "VariableDeclarator" && parent.init === call && parent.id.type === "Identifier") {
+        const binding = dependentManager.getBinding(parent.id);
+        for (const reference of binding.references) {
+          if (reference.init) continue;
+          const referencePath = paths.get(reference.identifier);
+          const isObject = referencePath.parentKey === "object" && referencePath.parent.type === "MemberExpression";
+          if (!isObject) {
+            report(dependent, reference.identifier, "module object escapes");
+          } else if (!renameMember(referencePath.parentPath)) {
+            report(dependent, referencePath.parent, "dynamic property access");
+          }
+        }
+      } else {
+        report(dependent, call, "module object escapes");
+      }
+    }
+    if (edits.length) addEdits(dependent, edits);
+  }
+
+  const output = {};
+  for (const [target, edits] of Object.entries(editsByFile)) {
+    if (edits.length) output[target] = applyEdits(files[target], edits);
+  }
+  Object.keys(editsByFile).forEach((target) => {
+    if (!editsByFile[target].length) delete editsByFile[target];
+  });
+  return { name, files: output, edits: editsByFile, unresolved };
+}
+
+module.exports = {
+  renameExport,
+  resolveRequire,
+};
@@ -0,0 +1,101 @@
+const { renameExport, resolveRequire } = require('./commonjs')
+const test = require('ava')
+
+const files = {
+  'lib/math.js': `
+function add(a, b) { return a + b; }
+function twice(x) { return add(x, x); }
+module.exports.add = add;
+exports['twice'] = twice;
+`,
+  'lib/index.js': `
+const { add, twice: double } = require('./math');
+module.exports = { sum: add(1, 2), double };
+`,
+  'app.js': `
+const math = require('./lib/math.js');
+const add = require('./lib/math').add;
+require('./lib');
+console.log(math.add(1, 2), math.twice(3), add(3, 4));
+`,
+  'plugin.js': `
+const name = './lib/math';
+const dynamic = require(name);
+const math = require(\`./lib/math\`);
+register(math);
+console.log(math[key], require('fs'));
+`,
+}
+
+test('跨文件改名 - 定义文件和依赖文件', t => {
+  const result = renameExport(files, 'lib/math.js', 'add', 'plus')
+  t.is(result.name, 'plus')
+  t.is(result.files['lib/math.js'], `
+function plus(a, b) { return a + b; }
+function twice(x) { return plus(x, x); }
+module.exports.plus = plus;
+exports['twice'] = twice;
+`)
+  t.is(result.files['lib/index.js'], `
+const { plus, twice: double } = require('./math');
+module.exports = { sum: plus(1, 2), double };
+`)
+  t.is(result.files['app.js'], `
+const math = require('./lib/math.js');
+const add = require('./lib/math').plus;
+require('./lib');
+console.log(math.plus(1, 2), math.twice(3), add(3, 4));
+`)
+  t.false('plugin.js' in result.files)
+  t.deepEqual(Object.keys(result.edits).sort(), ['app.js', 'lib/index.js', 'lib/math.js'])
+})
+
+test('跨文件改名 - 无法静态分析的 require', t => {
+  const { unresolved } = renameExport(files, 'lib/math.js', 'add', 'plus')
+  t.deepEqual(unresolved, [
+    { file: 'plugin.js', line: 3, column: 16, reason: 'dynamic require' },
+    { file: 'plugin.js', line: 5, column: 9, reason: 'module object escapes' },
+    { file: 'plugin.js', line: 6, column: 12, reason: 'dynamic property access' },
+  ])
+})
+
+test('跨文件改名 - 字符串属性、导出对象和解构的冲突', t => {
+  const project = {
+    'a.js': 'const twice = x => x * 2;\nmodule.exports = { twice, other: 1 };\n',
+    'b.js': 'const { twice } = require("./a");\nconst double = 0;\ntwice(double);\n',
+    'c.js': 'const a = require("./a");\na["twice"](1);\n',
+  }
+  const result = renameExport(project, 'a.js', 'twice', 'double', { onConflict: 'suffix' })
+  t.is(result.files['a.js'], 'const double = x => x * 2;\nmodule.exports = { double, other: 1 };\n')
+  t.is(result.files['b.js'], 'const { double: double_1 } = require("./a");\nconst double = 0;\ndouble_1(double);\n')
+  t.is(result.files['c.js'], 'const a = require("./a");\na["double"](1);\n')
+
+  t.throws(() => renameExport(project, 'a.js', 'twice', 'double'), { message: /^b\.js: Cannot rename twice to double/ })
+  t.throws(() => renameExport(project, 'a.js', 'twice', 'other'), {
+    message: 'Cannot rename export twice to other: other is already exported by a.js',
+  })
+  t.throws(() => renameExport(project, 'missing.js', 'twice', 'other'), { message: 'Cannot find file missing.js' })
+})
+
+test('跨文件改名 - 只改导出引用的绑定', t => {
+  const project = {
+    'a.js': 'function a(){}; function g(){ var a = 2; return a; }; module.exports.a = a;\n',
+    'b.js': 'function f(){ var f = 1; return f; }\nexports.f = 1;\n',
+    'c.js': 'require("./a").a();\n',
+  }
+  const result = renameExport(project, 'a.js', 'a', 'b')
+  t.is(result.files['a.js'], 'function b(){}; function g(){ var a = 2; return a; }; module.exports.b = b;\n')
+  t.is(result.files['c.js'], 'require("./a").b();\n')
+  // 导出的值不是同名变量时只改属性名
+  t.is(renameExport(project, 'b.js', 'f', 'h').files['b.js'], 'function f(){ var f = 1; return f; }\nexports.h = 1;\n')
+  t.throws(() => renameExport(project, 'b.js', 'f', 'for'), { message: 'b.js: Invalid identifier for' })
+})
+
+test('resolveRequire', t => {
+  const project = { 'a.js': '', 'lib/index.js': '', 'lib/b.js': '' }
+  t.is(resolveRequire(project, 'lib/b.js', '../a'), 'a.js')
+  t.is(resolveRequire(project, 'a.js', './lib'), 'lib/index.js')
+  t.is(resolveRequire(project, 'a.js', './lib/b.js'), 'lib/b.js')
+  t.is(resolveRequire(project, 'a.js', 'lib'), null)
+  t.is(resolveRequire(project, 'a.js', './c'), null)
+})
@@ -0,0 +1,155 @@
+const traverse = require("../../common/traverse");
+const pipeline = require("../../common/pipeline");
+const { analyze } = require("../../common/scope");
+const { preserveExternalNames } = require("./rename");
+
+const FIRST_CHARS = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ$_";
+const CHARS = `${FIRST_CHARS}0123456789`;
+
+// 不能作为变量名，或者有特殊含义的名字
+const RESERVED = new Set([
+  "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete", "do",
+  "else", "enum", "export", "extends", "false", "finally", "for", "function", "if", "import", "in",
+  "instanceof", "new", "null", "return", "super", "switch", "this", "throw", "true", "try", "typeof",
+  "var", "void", "while", "with", "yield", "let", "static", "implements", "interface", "package",
+  "private", "protected", "public", "await", "async", "of", "arguments", "eval", "undefined",
+  "NaN", "Infinity",
+]);
+
+/**
+ * 第 index 个短名字：a, b, ..., _, aa, ab, ...
+ * @param {number} index
+ * @returns {string}
+ */
+function generateName(index) {
+  let name = FIRST_CHARS[index % FIRST_CHARS.length];
+  index = Math.floor(index / FIRST_CHARS.length);
+  while (index > 0) {
+    index--;
+    name += CHARS[index % CHARS.length];
+    index = Math.floor(index / CHARS.length);
+  }
+  return name;
+}
+
+/**
+ * 找出不能改名的作用域：直接或间接调用 eval、位于 with 语句中的代码可以通过名字访问变量，
+ * 这些代码所在的作用域以及所有外层作用域中的变量都保留原名
+ * @param {Object} root
+ * @param {ScopeManager} manager
+ * @returns {Set<Scope>}
+ */
+function findTaintedScopes(root, manager) {
+  const withBodies = [];
+  traverse.visit(root, {
+    WithStatement(path) {
+      withBodies.push(path.node.body);
+    },
+  });
+  const inWith = (node) => withBodies.some((body) => body.start <= node.start && node.end <= body.end);
+
+  const tainted = new Set();
+  for (const scope of manager.scopes) {
+    for (const reference of scope.references) {
+      const isEval = reference.name === "eval" && !reference.binding;
+      if (!isEval && !inWith(reference.identifier)) continue;
+      for (let s = scope; s && !tainted.has(s); s = s.parent) {
+        tainted.add(s);
+      }
+    }
+  }
+  return tainted;
+}
+
+/**
+ * 绑定出现的次数，包括声明和引用
+ */
+const countOccurrences = (binding) => binding.identifiers.length + binding.references.length;
+
+/**
+ * 为所有可以改名的局部绑定分配最短的名字
+ * 全局作用域和模块顶层的名字对外可见，不改名；被 eval、with 影响的作用域也不改名
+ * 由外向内处理作用域，同一作用域中出现次数多的绑定先分配，得到更短的名字
+ * @param {Object} root
+ * @returns {Map<Binding, string>}
+ */
+function assignNames(root) {
+  const manager = analyze(root);
+  const tainted = findTaintedScopes(root, manager);
+  const isFixed = (binding) =>
+    ["global", "module"].includes(binding.scope.type)
+    || tainted.has(binding.scope)
+    || !binding.identifiers.length;
+
+  const names = new Map();
+  const finalName = (binding) => (names.has(binding) ? names.get(binding) : binding.name);
+
+  for (const scope of manager.scopes) {
+    const bindings = [...scope.bindings.values()].filter((binding) => !isFixed(binding));
+    if (!bindings.length) continue;
+
+    // 当前作用域中不会改名的名字，以及穿过当前作用域的引用最终使用的名字
+    const used = new Set(
+      [...scope.bindings.values()].filter(isFixed).map((binding) => binding.name)
+    );
+    for (const reference of scope.through) {
+      used.add(reference.binding ? finalName(reference.binding) : reference.name);
+    }
+
+    bindings.sort((a, b) => countOccurrences(b) - countOccurrences(a));
+    for (const binding of bindings) {
+      // 引用从内层作用域穿过时，不能被内层保留原名的绑定捕获
+      const blocked = new Set();
+      for (const reference of binding.references) {
+        for (let s = reference.from; s !== scope; s = s.parent) {
+          for (const other of s.bindings.values()) {
+            if (isFixed(other)) blocked.add(other.name);
+          }
+        }
+      }
+
+      let name;
+      for (let i = 0; ; i++) {
+        name = generateName(i);
+        if (!RESERVED.has(name) && !used.has(name) && !blocked.has(name)) break;
+      }
+      used.add(name);
+      names.set(binding, name);
+    }
+  }
+  return names;
+}
+
+/**
+ * 把局部变量改成最短的名字，属性名和全局变量不受影响
+ * @param {string} code
+ * @param {Object} options 透传给 pipeline.transform，如 sourceType、sourceFile、comments
+ * @returns {{ code: string, map: Object, report: RenameRecord[] }} report 为每个绑定声明处的改名记录
+ */
+function mangle(code, options = {}) {
+  let report;
+  const { code: output, map } = pipeline.transform(
+    code,
+    [(ast) => {
+      const names = assignNames(ast);
+      const identifiers = new Map();
+      report = [];
+      for (const [binding, name] of names) {
+        const { loc } = binding.identifier;
+        report.push({ line: loc.start.line, column: loc.start.column, oldName: binding.name, newName: name });
+        binding.identifiers.forEach((identifier) => identifiers.set(identifier, name));
+        binding.references.forEach((reference) => identifiers.set(reference.identifier, name));
+      }
+      preserveExternalNames(ast, new Set(identifiers.keys()));
+      for (const [identifier, name] of identifiers) {
+        identifier.name = name;
+      }
+      report.sort((a, b) => a.line - b.line || a.column - b.column);
+    }],
+    { ecmaVersion: "latest", ...options }
+  );
+  return { code: output, map, report };
+}
+
+module.exports = mangle;
+module.exports.generateName = generateName;
@@ -0,0 +1,124 @@
+const vm = require('vm')
+const mangle = require('./mangle')
+const test = require('ava')
+
+// 执行代码，返回最后一个表达式语句的值
+function run(code) {
+  return vm.runInNewContext(code, {})
+}
+
+function assertSameResult(t, code) {
+  const result = mangle(code).code
+  t.deepEqual(run(result), run(code))
+  return result
+}
+
+test('混淆 - 局部变量改成短名字，结果不变', t => {
+  const code = assertSameResult(t, `
+function sum(numbers, initialValue) {
+  var total = initialValue;
+  for (let index = 0; index < numbers.length; index++) {
+    total += numbers[index];
+  }
+  return total;
+}
+sum([1, 2, 3], 10);
+`)
+  t.is(code, `function sum(b, c) {
+  var a = c;
+  for (let c = 0; c < b.length; c++) {
+    a += b[c];
+  }
+  return a;
+}
+sum([1, 2, 3], 10);
+`)
+})
+
+test('混淆 - 出现次数多的绑定分到更短的名字', t => {
+  const { code, report } = mangle('function f(rare, often) { often(often(often)); return rare; }')
+  t.is(code, 'function f(b, a) {\n  a(a(a));\n  return b;\n}\n')
+  t.deepEqual(report, [
+    { line: 1, column: 11, oldName: 'rare', newName: 'b' },
+    { line: 1, column: 17, oldName: 'often', newName: 'a' },
+  ])
+})
+
+test('混淆 - 全局变量、属性名不变，不会捕获外层变量', t => {
+  const code = assertSameResult(t, `
+var a = 100;
+function outer(value) {
+  var result = { value: value, a: a };
+  function inner(b) { return result.value + a + b + Math.max(1, 2); }
+  return inner(1) + result.a;
+}
+outer(5);
+`)
+  t.regex(code, /var a = 100;/)
+  t.regex(code, /function outer\(/)
+  t.regex(code, /value: \w+/)
+  t.regex(code, /Math\.max/)
+})
+
+test('混淆 - 不影响 eval 可以访问的作用域', t => {
+  const code = assertSameResult(t, `
+function f(longName) {
+  function g(other) { return other * 2; }
+  return eval('longName') + g(longName);
+}
+f(3);
+`)
+  t.regex(code, /function f\(longName\)/)
+  t.regex(code, /function g\(a\)/)
+
+  const withCode = assertSameResult(t, `
+function h(obj, fallback) {
+  with (obj) { return x + fallback; }
+}
+h({ x: 1 }, 2);
+`)
+  t.regex(withCode, /function h\(obj, fallback\)/)
+})
+
+test('混淆 - 变量多于单字符名字时使用两个字符', t => {
+  const names = Array.from({ length: 60 }, (_, i) => `variable${i}`)
+  const code = assertSameResult(t, `
+(function () {
+  ${names.map((name, i) => `var ${name} = ${i};`).join('\n  ')}
+  return ${names.join(' + ')};
+})();
+`)
+  t.regex(code, /var aa = /)
+  t.notRegex(code, /variable/)
+})
+
+test('混淆 - ES2015+ 语法', t => {
+  const code = assertSameResult(t, `
+const compute = (items, { scale = 2, offset } = {}) => {
+  const mapped = items.map(item => item * scale + offset);
+  class Counter {
+    constructor(start) { this.count = start; }
+    add(step) { this.count += step; return this; }
+  }
+  const counter = new Counter(0);
+  for (const item of mapped) counter.add(item);
+  return { mapped, total: counter.count, label: \`total \${counter.count}\` };
+};
+compute([1, 2, 3], { offset: 1 });
+`)
+  t.regex(code, /mapped: \w+,/)
+  t.notRegex(code, /counter\b/)
+})
+
+test('混淆 - 参数默认值看不到函数体中的 var', t => {
+  assertSameResult(t, 'var x = 1; function f(a = x) { var x = 2; return a; } f();')
+  assertSameResult(t, 'function g() { var x = 1; function f(a = () => x, b = x) { var x = 2; return [a(), b, x]; } return f(); } g();')
+})
+
+test('混淆 - sloppy 模式下块中的函数声明在块外也能访问', t => {
+  assertSameResult(t, 'function g() { { function foo() { return 1 } } return foo(); } g();')
+  assertSameResult(t, 'function h() { var foo = 2; function g() { { function foo() { return 1 } } return foo(); } return [foo, g()]; } h();')
+  // 和 let 冲突、严格模式时只在块中可见
+  assertSameResult(t, 'function k() { let foo = 3; { function foo() { return 1 } } return foo; } k();')
+  assertSameResult(t, '"use strict"; function s() { var foo = 5; { function foo() { return 1 } foo(); } return foo; } s();')
+})
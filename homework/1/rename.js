@@ -1,64 +1,683 @@
 const acorn = require("acorn");
-const astring = require("astring");
 const traverse = require("../../common/traverse");
+const pipeline = require("../../common/pipeline");
+const { analyze } = require("../../common/scope");
 
-function transform(root, originName, targetName) {
-  // 遍历所有节点
-  return traverse((node, ctx, next) => {
-    // TODO: 作业代码写在这里
-    if (node.type === "FunctionDeclaration") {
-      if (node.id.name === originName) {
-        node.id.name = targetName;
+/**
+ * 源代码中的位置，可以是字符偏移量，或者 acorn 风格的 { line, column }（行从 1 开始，列从 0 开始）
+ * @typedef {number | { line: number, column: number }} Position
+ */
+
+/**
+ * 判断节点是否覆盖该位置，光标在标识符末尾时也算
+ * @param {Object} node
+ * @param {Position} position
+ */
+function containsPosition(node, position) {
+  if (typeof position === "number") {
+    return node.start <= position && position <= node.end;
+  }
+  const { start, end } = node.loc;
+  const { line, column } = position;
+  if (line < start.line || line > end.line) return false;
+  if (line === start.line && column < start.column) return false;
+  if (line === end.line && column > end.column) return false;
+  return true;
+}
+
+function formatPosition(position) {
+  return typeof position === "number"
+    ? `offset ${position}`
+    : `${position.line}:${position.column}`;
+}
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * 找到覆盖该位置、名为 name 的所有 Identifier，按遍历顺序返回
+ * 简写属性 { foo } 的 key 和 value 位置相同，需要由调用方选出其中的变量
+ * @param {Object} root
+ * @param {string} [name] 缺省时不限制名字
+ * @param {Position} position
+ * @returns {Object[]}
+ */
+function findIdentifiersAt(root, name, position) {
+  const found = [];
+  traverse.visit(root, {
+    enter(path) {
+      if (!containsPosition(path.node, position)) {
+        path.skip();
+        return;
+      }
+      if (path.node.type === "Identifier" && (name == null || path.node.name === name)) {
+        found.push(path.node);
+      }
+    },
+  });
+  return found;
+}
+
+/**
+ * 全局作用域中没有声明的同名引用，视为同一个全局变量
+ */
+function getGlobalReferences(manager, name) {
+  return manager.globalScope.through.filter((reference) => reference.name === name);
+}
+
+/**
+ * 找出需要改名的绑定，以及没有声明的全局变量引用
+ * 指定位置时只处理该位置上的绑定，否则处理所有名为 originName 的绑定和全局变量
+ * 隐式的 arguments 没有声明，不能改名：不指定位置时跳过，指定位置时报错；同名的参数会声明它，可以改名
+ * @param {ScopeManager} manager
+ * @param {Object} root
+ * @param {string} originName
+ * @param {Position} [position]
+ * @returns {{ bindings: Binding[], globals: Reference[] }}
+ */
+function resolveRenameTargets(manager, root, originName, position) {
+  if (position == null) {
+    return {
+      bindings: manager.scopes
+        .map((scope) => scope.bindings.get(originName))
+        .filter((binding) => binding && binding.identifiers.length),
+      globals: getGlobalReferences(manager, originName),
+    };
+  }
+
+  const targets = resolveTargetsAt(manager, root, position, originName);
+  if (!targets) {
+    throw new Error(`Cannot find identifier ${originName} at ${formatPosition(position)}`);
+  }
+  if (!targets.bindings.length && !targets.globals.length) {
+    // 属性名、标签等不是变量
+    throw new Error(`${originName} at ${formatPosition(position)} is not a variable`);
+  }
+  if (targets.bindings.some((binding) => !binding.identifiers.length)) {
+    throw new Error(`Implicit ${originName} at ${formatPosition(position)} cannot be renamed`);
+  }
+  return targets;
+}
+
+/**
+ * 找出位置上的变量对应的绑定，没有声明的变量视为全局变量
+ * 位置上没有名为 name 的 Identifier 时返回 null，Identifier 不是变量时返回空的 targets
+ * @param {ScopeManager} manager
+ * @param {Object} root
+ * @param {Position} position
+ * @param {string} [name] 缺省时不限制名字
+ * @returns {{ bindings: Binding[], globals: Reference[] } | null}
+ */
+function resolveTargetsAt(manager, root, position, name) {
+  const identifiers = findIdentifiersAt(root, name, position);
+  if (!identifiers.length) return null;
+  for (const identifier of identifiers) {
+    const binding = manager.getBinding(identifier);
+    if (binding) {
+      return { bindings: [binding], globals: [] };
+    }
+    if (manager.getReference(identifier)) {
+      return { bindings: [], globals: getGlobalReferences(manager, identifier.name) };
+    }
+  }
+  return { bindings: [], globals: [] };
+}
+
+/**
+ * 需要改名的所有 Identifier：绑定的声明、引用以及全局变量的引用
+ * @param {{ bindings: Binding[], globals: Reference[] }} targets
+ * @returns {Set<Object>}
+ */
+function getTargetIdentifiers({ bindings, globals }) {
+  const identifiers = new Set();
+  for (const binding of bindings) {
+    binding.identifiers.forEach((identifier) => identifiers.add(identifier));
+    binding.references.forEach((reference) => identifiers.add(reference.identifier));
+  }
+  globals.forEach((reference) => identifiers.add(reference.identifier));
+  return identifiers;
+}
+
+/**
+ * 改名前处理对外可见的名字：简写属性 { foo } 要变成 { foo: bar }，
+ * acorn 中 import { foo } / export { foo } 的两个 Identifier 是同一个对象，需要拆开
+ * @param {Object} root
+ * @param {Set<Object>} identifiers 要改名的 Identifier
+ */
+function preserveExternalNames(root, identifiers) {
+  traverse.visit(root, {
+    Property(path) {
+      const { node } = path;
+      if (!node.shorthand) return;
+      const value = node.value.type === "AssignmentPattern" ? node.value.left : node.value;
+      if (identifiers.has(value)) node.shorthand = false;
+    },
+    ImportSpecifier(path) {
+      const { node } = path;
+      if (node.imported === node.local && identifiers.has(node.local)) {
+        node.imported = { ...node.local };
+      }
+    },
+    ExportSpecifier(path) {
+      const { node } = path;
+      if (node.exported === node.local && identifiers.has(node.local)) {
+        node.exported = { ...node.local };
       }
+    },
+  });
+}
+
+/**
+ * 改名冲突
+ * @typedef {Object} RenameConflict
+ * @property {('redeclare' | 'capture' | 'shadow')} reason
+ *   redeclare：同一作用域中已经有同名声明
+ *   capture：改名后原来的引用会被内层同名声明捕获
+ *   shadow：改名后会遮蔽外层同名变量在该作用域中的引用
+ * @property {string} name
+ * @property {string} kind 冲突声明的类型，未声明的全局变量为 global
+ * @property {{ line: number, column: number } | null} loc 冲突声明的位置，全局变量为引用的位置
+ */
+
+/**
+ * 检查把 targets 改名为 targetName 是否会改变程序语义
+ * @param {{ bindings: Binding[], globals: Reference[] }} targets
+ * @param {string} targetName
+ * @returns {RenameConflict[]}
+ */
+function findConflicts({ bindings, globals }, targetName) {
+  const conflicts = [];
+  const seen = new Set();
+  const add = (reason, binding, reference) => {
+    const key = binding || reference.identifier;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const identifier = binding ? binding.identifier : reference.identifier;
+    conflicts.push({
+      reason,
+      name: targetName,
+      kind: binding ? binding.kind : "global",
+      loc: identifier && identifier.loc ? identifier.loc.start : null,
+    });
+  };
+
+  for (const binding of bindings) {
+    const { scope } = binding;
+    if (scope.bindings.has(targetName)) {
+      add("redeclare", scope.bindings.get(targetName));
+    }
+    for (const reference of binding.references) {
+      for (let s = reference.from; s !== scope; s = s.parent) {
+        if (s.bindings.has(targetName)) add("capture", s.bindings.get(targetName));
+      }
+    }
+    for (const reference of scope.through) {
+      if (reference.name === targetName) add("shadow", reference.binding, reference);
     }
+  }
+
+  for (const reference of globals) {
+    const binding = reference.from.lookup(targetName);
+    if (binding) add("capture", binding);
+  }
+
+  return conflicts;
+}
+
+const CONFLICT_DESCRIPTIONS = {
+  redeclare: "already declared in the same scope",
+  capture: "would capture existing references",
+  shadow: "would be shadowed by the renamed variable",
+};
+
+function createConflictError(originName, targetName, conflicts) {
+  const lines = conflicts.map(({ reason, kind, loc }) => {
+    const where = loc ? `${loc.line}:${loc.column}` : "implicit";
+    return `  - ${kind} ${targetName} at ${where} ${CONFLICT_DESCRIPTIONS[reason]}`;
+  });
+  const error = new Error(
+    `Cannot rename ${originName} to ${targetName}:\n${lines.join("\n")}`
+  );
+  error.conflicts = conflicts;
+  return error;
+}
+
+// 关键字、字面量以及严格模式和模块中的保留字，都不能作为变量名
+const RESERVED_WORDS = new Set([
+  "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete", "do",
+  "else", "export", "extends", "finally", "for", "function", "if", "import", "in", "instanceof",
+  "new", "return", "super", "switch", "this", "throw", "try", "typeof", "var", "void", "while",
+  "with", "null", "true", "false", "enum", "await", "implements", "interface", "let", "package",
+  "private", "protected", "public", "static", "yield",
+]);
+
+/**
+ * 新名字必须是合法的标识符（支持 Unicode），并且不是保留字
+ * @param {string} name
+ */
+function assertIdentifier(name) {
+  const chars = [...name].map((char) => char.codePointAt(0));
+  const valid = chars.length > 0
+    && acorn.isIdentifierStart(chars[0], true)
+    && chars.slice(1).every((code) => acorn.isIdentifierChar(code, true))
+    && !RESERVED_WORDS.has(name);
+  if (!valid) {
+    throw new Error(`Invalid identifier ${name}`);
+  }
+}
+
+/**
+ * 找出需要改名的 Identifier 并检查冲突，不修改 AST
+ * @param {Object} root
+ * @param {string} originName
+ * @param {string} targetName
+ * @param {Object} options 见 transform
+ * @returns {{ name: string, identifiers: Set<Object> }} 最终使用的名字和需要改名的 Identifier
+ */
+function planRename(root, originName, targetName, options = {}) {
+  const { position, onConflict = "error" } = options;
+  assertIdentifier(targetName);
 
-    if (node.type === "VariableDeclaration") {
-      // 遍历所有声明的变量
-      node.declarations.forEach((declaration) => {
-        if (declaration.id.name === originName) {
-          declaration.id.name = targetName;
-        }
-      });
+  const manager = analyze(root);
+  const targets = resolveRenameTargets(manager, root, originName, position);
+  if (targetName === originName) return { name: targetName, identifiers: new Set() };
+
+  let name = targetName;
+  let conflicts = findConflicts(targets, name);
+  if (conflicts.length && onConflict === "suffix") {
+    for (let i = 1; conflicts.length; i++) {
+      name = `${targetName}_${i}`;
+      conflicts = findConflicts(targets, name);
     }
+  }
+  if (conflicts.length) {
+    throw createConflictError(originName, targetName, conflicts);
+  }
+  return { name, identifiers: getTargetIdentifiers(targets) };
+}
+
+/**
+ * 按作用域改名，只修改绑定的声明和引用，属性名、标签以及内层同名的其他绑定不受影响
+ * @param {Object} root
+ * @param {string} originName
+ * @param {string} targetName
+ * @param {Object} options
+ * @param {Position} [options.position] 要改名的绑定所在的位置
+ * @param {('error' | 'suffix')} [options.onConflict] 有冲突时报错，或者在 targetName 后加数字后缀找一个不冲突的名字
+ * @returns {string} 最终使用的名字
+ */
+function transform(root, originName, targetName, options = {}) {
+  const { name, identifiers } = planRename(root, originName, targetName, options);
+  preserveExternalNames(root, identifiers);
+  for (const identifier of identifiers) {
+    identifier.name = name;
+  }
+  return name;
+}
+
+/**
+ * 对源代码的一处文本替换
+ * @typedef {Object} SourceEdit
+ * @property {number} start
+ * @property {number} end
+ * @property {string} text
+ */
+
+/**
+ * 把改名转换成对源代码的文本替换，对外可见的名字处理方式与 preserveExternalNames 相同
+ * @param {Object} root
+ * @param {Set<Object>} identifiers
+ * @param {string} name
+ * @returns {SourceEdit[]} 按位置排序
+ */
+function getSourceEdits(root, identifiers, name) {
+  const texts = new Map();
+  for (const identifier of identifiers) {
+    texts.set(identifier, name);
+  }
+  traverse.visit(root, {
+    Property(path) {
+      const { node } = path;
+      if (!node.shorthand) return;
+      const value = node.value.type === "AssignmentPattern" ? node.value.left : node.value;
+      if (identifiers.has(value)) texts.set(value, `${value.name}: ${name}`);
+    },
+    ImportSpecifier(path) {
+      const { node } = path;
+      if (node.imported === node.local && identifiers.has(node.local)) {
+        texts.set(node.local, `${node.local.name} as ${name}`);
+      }
+    },
+    ExportSpecifier(path) {
+      const { node } = path;
+      if (node.exported === node.local && identifiers.has(node.local)) {
+        texts.set(node.local, `${name} as ${node.local.name}`);
+      }
+    },
+  });
+  return [...texts]
+    .map(([identifier, text]) => ({ start: identifier.start, end: identifier.end, text }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 按位置从后往前应用文本替换
+ * @param {string} code
+ * @param {SourceEdit[]} edits 不能重叠
+ * @returns {string}
+ */
+function applyEdits(code, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, { start, end, text }) => result.slice(0, start) + text + result.slice(end), code);
+}
+
+/**
+ * 只替换源代码中需要改名的标识符，保留原来的格式和注释，适合直接改写文件
+ * @param {string} code
+ * @param {string} originName
+ * @param {string} targetName
+ * @param {Object} options position、onConflict 见 transform，其余透传给 acorn，如 sourceType
+ * @returns {{ code: string, name: string, edits: SourceEdit[] }}
+ */
+function renameSource(code, originName, targetName, options = {}) {
+  const { position, onConflict, ...parseOptions } = options;
+  const root = acorn.parse(code, {
+    ecmaVersion: "latest",
+    sourceType: "script",
+    ...parseOptions,
+    locations: true,
+  });
+  const { name, identifiers } = planRename(root, originName, targetName, { position, onConflict });
+  const edits = getSourceEdits(root, identifiers, name);
+  return { code: applyEdits(code, edits), name, edits };
+}
+
+/**
+ * 批量改名时检查冲突：所有名字同时替换后，每个引用仍然要指向原来的绑定，同一作用域中也不能出现重名
+ * 因为是同时替换，a → b、b → a 这样的交换不算冲突
+ * @param {ScopeManager} manager
+ * @param {Map<Binding, string>} renamed 改名的绑定和新名字
+ * @param {Object<string, string>} mapping 旧名字到新名字
+ * @returns {Array<RenameConflict & { originName: string }>}
+ */
+function findBatchConflicts(manager, renamed, mapping) {
+  const finalName = (binding) => (renamed.has(binding) ? renamed.get(binding) : binding.name);
+  const finalGlobalName = (name) => (hasOwn(mapping, name) ? mapping[name] : name);
 
-    if (node.type === "MemberExpression" && node.object.type === "Identifier") {
-      if (node.object.name === originName) {
-        node.object.name = targetName;
+  const conflicts = [];
+  const seen = new Set();
+  const add = (reason, originName, binding, reference) => {
+    const key = binding || reference.identifier;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const identifier = binding ? binding.identifier : reference.identifier;
+    conflicts.push({
+      reason,
+      originName,
+      name: binding ? finalName(binding) : finalGlobalName(reference.name),
+      kind: binding ? binding.kind : "global",
+      loc: identifier && identifier.loc ? identifier.loc.start : null,
+    });
+  };
+
+  // 每个作用域中改名后的名字到绑定
+  const declared = new Map();
+  for (const scope of manager.scopes) {
+    const names = new Map();
+    for (const binding of scope.bindings.values()) {
+      const name = finalName(binding);
+      const other = names.get(name);
+      if (other) {
+        const [self, existing] = renamed.has(binding) ? [binding, other] : [other, binding];
+        add("redeclare", self.name, existing);
       }
+      names.set(name, binding);
     }
+    declared.set(scope, names);
+  }
 
-    if (node.type === "BinaryExpression") {
-      renameBinaryExpression(node, originName, targetName);
+  for (const scope of manager.scopes) {
+    for (const reference of scope.references) {
+      const expected = reference.binding;
+      const name = expected ? finalName(expected) : finalGlobalName(reference.name);
+      let actual = null;
+      for (let s = reference.from; s && !actual; s = s.parent) {
+        actual = declared.get(s).get(name) || null;
+      }
+      if (actual === expected) continue;
+      if (actual && renamed.has(actual) && !(expected && renamed.has(expected))) {
+        // 原来的引用没有改名，被改名后的绑定遮蔽
+        add("shadow", actual.name, expected, reference);
+      } else {
+        add("capture", reference.name, actual, reference);
+      }
     }
+  }
+  return conflicts;
+}
 
-    // 继续往下遍历
-    return next(node, ctx);
-  })(root);
+function createBatchConflictError(conflicts) {
+  const lines = conflicts.map(({ reason, originName, name, kind, loc }) => {
+    const where = loc ? `${loc.line}:${loc.column}` : "implicit";
+    return `  - ${originName} -> ${name}: ${kind} ${name} at ${where} ${CONFLICT_DESCRIPTIONS[reason]}`;
+  });
+  const error = new Error(`Cannot apply renames:\n${lines.join("\n")}`);
+  error.conflicts = conflicts;
+  return error;
 }
 
-function renameBinaryExpression(node, originName, targetName) {
-  if (node.left.type === "Identifier" && node.left.name === originName) {
-    node.left.name = targetName;
+/**
+ * 一次完成多个改名
+ * @typedef {Object} RenameRecord
+ * @property {number} line 原代码中的行，从 1 开始
+ * @property {number} column 原代码中的列，从 0 开始
+ * @property {string} oldName
+ * @property {string} newName
+ */
+
+/**
+ * 按映射表同时改名所有同名的变量
+ * @param {Object} root
+ * @param {Object<string, string>} mapping 旧名字到新名字
+ * @returns {RenameRecord[]} 按位置排序的改名记录
+ */
+function transformMany(root, mapping) {
+  for (const targetName of Object.values(mapping)) {
+    assertIdentifier(targetName);
   }
 
-  if (node.right.type === "Identifier" && node.right.name === originName) {
-    node.right.name = targetName;
+  const manager = analyze(root);
+  const renamed = new Map();
+  for (const scope of manager.scopes) {
+    for (const binding of scope.bindings.values()) {
+      // 隐式的 arguments 没有声明，不能改名
+      if (binding.kind === "arguments") continue;
+      if (hasOwn(mapping, binding.name) && mapping[binding.name] !== binding.name) {
+        renamed.set(binding, mapping[binding.name]);
+      }
+    }
   }
+  const globals = manager.globalScope.through.filter(
+    (reference) => hasOwn(mapping, reference.name) && mapping[reference.name] !== reference.name
+  );
 
-  if (node.left.type === "BinaryExpression") {
-    renameBinaryExpression(node.left, originName, targetName);
+  const conflicts = findBatchConflicts(manager, renamed, mapping);
+  if (conflicts.length) {
+    throw createBatchConflictError(conflicts);
   }
 
-  if (node.right.type === "BinaryExpression") {
-    renameBinaryExpression(node.right, originName, targetName);
+  const names = new Map();
+  for (const [binding, name] of renamed) {
+    getTargetIdentifiers({ bindings: [binding], globals: [] })
+      .forEach((identifier) => names.set(identifier, name));
   }
+  globals.forEach((reference) => names.set(reference.identifier, mapping[reference.name]));
+
+  preserveExternalNames(root, new Set(names.keys()));
+  const report = [];
+  for (const [identifier, name] of names) {
+    report.push({
+      line: identifier.loc.start.line,
+      column: identifier.loc.start.column,
+      oldName: identifier.name,
+      newName: name,
+    });
+    identifier.name = name;
+  }
+  return report.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * 改名并生成指向原代码的 source map，注释会被保留
+ * @param {string} code
+ * @param {string} originName
+ * @param {string} targetName
+ * @param {Object} options position、onConflict 见 transform，其余透传给 pipeline.transform，
+ *   如 sourceFile、file，包含 import / export 的代码需要传入 sourceType: "module"
+ * @returns {{ code: string, map: Object, name: string }} name 为最终使用的名字
+ */
+function renameWithSourceMap(code, originName, targetName, options = {}) {
+  const { position, onConflict, ...pipelineOptions } = options;
+  let name;
+  const { code: output, map } = pipeline.transform(
+    code,
+    [(ast) => {
+      name = transform(ast, originName, targetName, { position, onConflict });
+    }],
+    { ecmaVersion: "latest", ...pipelineOptions }
+  );
+  return { code: output, map, name };
+}
+
+/**
+ * @param {string} code
+ * @param {string} originName
+ * @param {string} targetName
+ * @param {Object} options
+ * @param {Position} [options.position] 要改名的绑定所在的位置，缺省时修改所有名为 originName 的变量
+ * @param {('error' | 'suffix')} [options.onConflict] 默认 error
+ * @returns {string}
+ */
+function rename(code, originName, targetName, options = {}) {
+  return renameWithSourceMap(code, originName, targetName, options).code;
+}
+
+/**
+ * 按映射表一次完成多个改名，所有名字同时替换，可以交换两个变量的名字
+ * @param {string} code
+ * @param {Object<string, string>} mapping 旧名字到新名字，如 { a: "b", b: "a" }
+ * @param {Object} options 透传给 pipeline.transform
+ * @returns {{ code: string, map: Object, report: RenameRecord[] }}
+ */
+function renameMany(code, mapping, options = {}) {
+  let report;
+  const { code: output, map } = pipeline.transform(
+    code,
+    [(ast) => {
+      report = transformMany(ast, mapping);
+    }],
+    { ecmaVersion: "latest", ...options }
+  );
+  return { code: output, map, report };
+}
+
+/**
+ * 变量在代码中出现的一处位置
+ * @typedef {Object} Occurrence
+ * @property {string} name
+ * @property {('declaration' | 'read' | 'write' | 'readwrite')} type
+ * @property {number} start 起始偏移量
+ * @property {number} end 结束偏移量
+ * @property {{ start: { line: number, column: number }, end: { line: number, column: number } }} loc
+ */
+
+function toOccurrence(identifier, type) {
+  const { start, end } = identifier.loc;
+  return {
+    name: identifier.name,
+    type,
+    start: identifier.start,
+    end: identifier.end,
+    loc: {
+      start: { line: start.line, column: start.column },
+      end: { line: end.line, column: end.column },
+    },
+  };
+}
+
+function getReferenceType(reference) {
+  if (reference.isReadWrite()) return "readwrite";
+  return reference.isWrite() ? "write" : "read";
 }
 
-function rename(code, originName, targetName) {
-  const ast = acorn.parse(code, {
-    ecmaVersion: 5,
+/**
+ * 解析代码并找出光标所在的变量
+ * @returns {{ bindings: Binding[], globals: Reference[] } | null}
+ */
+function resolveCursor(code, line, column, options) {
+  const root = acorn.parse(code, {
+    ecmaVersion: "latest",
+    sourceType: "script",
+    ...options,
+    locations: true,
   });
-  return astring.generate(transform(ast, originName, targetName));
+  return resolveTargetsAt(analyze(root), root, { line, column });
+}
+
+/**
+ * 找出光标所在变量的声明和所有引用，没有声明的全局变量返回所有同名的全局引用
+ * 光标不在变量上时返回空数组
+ * @param {string} code
+ * @param {number} line 从 1 开始
+ * @param {number} column 从 0 开始
+ * @param {Object} [options] 透传给 acorn，如 sourceType
+ * @returns {Occurrence[]} 按位置排序
+ */
+function findReferences(code, line, column, options = {}) {
+  const targets = resolveCursor(code, line, column, options);
+  if (!targets) return [];
+
+  const occurrences = new Map();
+  for (const binding of targets.bindings) {
+    binding.identifiers.forEach((identifier) =>
+      occurrences.set(identifier, toOccurrence(identifier, "declaration")));
+    for (const reference of binding.references) {
+      // 带初始化的声明同时也是一次写入，按声明处理
+      if (!occurrences.has(reference.identifier)) {
+        occurrences.set(reference.identifier, toOccurrence(reference.identifier, getReferenceType(reference)));
+      }
+    }
+  }
+  targets.globals.forEach((reference) =>
+    occurrences.set(reference.identifier, toOccurrence(reference.identifier, getReferenceType(reference))));
+
+  return [...occurrences.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 找出光标所在变量的声明，重复声明时返回第一处
+ * 光标不在变量上、变量没有声明（全局变量、隐式的 arguments）时返回 null
+ * @param {string} code
+ * @param {number} line 从 1 开始
+ * @param {number} column 从 0 开始
+ * @param {Object} [options] 透传给 acorn，如 sourceType
+ * @returns {Occurrence | null}
+ */
+function findDefinition(code, line, column, options = {}) {
+  const targets = resolveCursor(code, line, column, options);
+  const binding = targets && targets.bindings[0];
+  if (!binding || !binding.identifier) return null;
+  return toOccurrence(binding.identifier, "declaration");
 }
 
 module.exports = rename;
+module.exports.renameWithSourceMap = renameWithSourceMap;
+module.exports.renameMany = renameMany;
+module.exports.renameSource = renameSource;
+module.exports.findReferences = findReferences;
+module.exports.findDefinition = findDefinition;
+module.exports.preserveExternalNames = preserveExternalNames;
+module.exports.planRename = planRename;
+module.exports.getSourceEdits = getSourceEdits;
+module.exports.applyEdits = applyEdits;
+module.exports.assertIdentifier = assertIdentifier;
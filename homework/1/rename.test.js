@@ -1,10 +1,11 @@
 const acorn = require('acorn');
 const traverse = require('../../common/traverse')
 const rename = require('./rename')
+const { renameMany, renameSource, findReferences, findDefinition } = rename
 const test = require('ava')
 
-function toStandard(code) {
-  const root = acorn.parse(code, { ecmaVersion: 5 })
+function toStandard(code, sourceType = 'script') {
+  const root = acorn.parse(code, { ecmaVersion: 'latest', sourceType })
 
   const target = traverse((node, ctx, next) => {
     delete node.start
@@ -41,4 +42,320 @@ function bar() {
   const result = rename(sourceCode, 'foo', 'bar');
 
   t.deepEqual(toStandard(result), toStandard(targetCode))
-})
\ No newline at end of file
+})
+test('重命名时保留注释并生成 source map', t => {
+  const sourceCode = `// 计数
+var foo = 1;
+var baz = foo + 1;
+`;
+  const { code, map } = rename.renameWithSourceMap(sourceCode, 'foo', 'bar', { sourceFile: 'count.js' });
+  t.is(code, '// 计数\nvar bar = 1;\nvar baz = bar + 1;\n');
+  t.deepEqual(map.sources, ['count.js']);
+  // names 记录源代码中的名字
+  t.deepEqual(map.names, ['foo', 'baz']);
+})
+
+test('所有能出现变量的位置都会被改名', t => {
+  const sourceCode = `
+var foo = 1;
+function f(x) {
+  foo = x ? foo : g(foo, [foo], { k: foo });
+  return foo;
+}
+foo.foo = foo;
+`;
+  const targetCode = `
+var bar = 1;
+function f(x) {
+  bar = x ? bar : g(bar, [bar], { k: bar });
+  return bar;
+}
+bar.foo = bar;
+`;
+  t.deepEqual(toStandard(rename(sourceCode, 'foo', 'bar')), toStandard(targetCode))
+})
+
+test('数组和解构中的空位也会被改名', t => {
+  const result = rename('var x = 1; var arr = [, x]; var [, y] = arr; [, x] = arr;', 'x', 'z')
+  t.deepEqual(toStandard(result), toStandard('var z = 1; var arr = [, z]; var [, y] = arr; [, z] = arr;'))
+})
+
+test('指定位置时只改名该绑定', t => {
+  const sourceCode = `
+var a = 1;
+function f(a) {
+  return a + 1;
+}
+function g() {
+  var a = 2;
+  return { a: a };
+}
+a;
+`;
+  // 第 3 行 function f(a) 中的参数 a
+  const paramResult = rename(sourceCode, 'a', 'b', { position: { line: 3, column: 11 } });
+  t.deepEqual(toStandard(paramResult), toStandard(`
+var a = 1;
+function f(b) {
+  return b + 1;
+}
+function g() {
+  var a = 2;
+  return { a: a };
+}
+a;
+`));
+
+  // 最后一行对全局 a 的引用
+  const globalResult = rename(sourceCode, 'a', 'b', { position: { line: 10, column: 0 } });
+  t.deepEqual(toStandard(globalResult), toStandard(`
+var b = 1;
+function f(a) {
+  return a + 1;
+}
+function g() {
+  var a = 2;
+  return { a: a };
+}
+b;
+`));
+})
+
+test('指定位置不是变量时报错', t => {
+  const sourceCode = 'var o = { a: 1 };\nlabel: for (;;) { break label; }';
+  t.throws(() => rename(sourceCode, 'a', 'b', { position: { line: 1, column: 10 } }), { message: /is not a variable/ });
+  t.throws(() => rename(sourceCode, 'label', 'b', { position: { line: 2, column: 0 } }), { message: /is not a variable/ });
+  t.throws(() => rename(sourceCode, 'c', 'b', { position: 0 }), { message: /Cannot find identifier c/ });
+})
+
+test('隐式的 arguments 不会被改名', t => {
+  const sourceCode = 'function f() { return arguments; }';
+  t.is(rename(sourceCode, 'arguments', 'x'), 'function f() {\n  return arguments;\n}\n');
+  t.throws(() => rename(sourceCode, 'arguments', 'x', { position: 22 }), { message: 'Implicit arguments at offset 22 cannot be renamed' });
+  // 声明过的 arguments 可以改名
+  t.is(rename('function f(arguments) { return arguments; }', 'arguments', 'x'), 'function f(x) {\n  return x;\n}\n');
+})
+
+test('改名冲突 - 同一作用域重复声明', t => {
+  const error = t.throws(() => rename('var a = 1, b = 2;', 'a', 'b'));
+  t.is(error.message, 'Cannot rename a to b:\n  - var b at 1:11 already declared in the same scope');
+  t.deepEqual(error.conflicts.map(conflict => conflict.reason), ['redeclare']);
+})
+
+test('改名冲突 - 捕获与遮蔽', t => {
+  // 内层的 b 会捕获 a 的引用
+  const captured = t.throws(() => rename('var a; function f() { var b; return a; }', 'a', 'b'));
+  t.deepEqual(captured.conflicts.map(({ reason, kind }) => [reason, kind]), [['capture', 'var']]);
+
+  // 改名后的 b 会遮蔽外层的 b 和全局变量 c
+  const shadowed = t.throws(() => rename('var b; function f(a) { return b; }', 'a', 'b'));
+  t.deepEqual(shadowed.conflicts.map(({ reason, kind }) => [reason, kind]), [['shadow', 'var']]);
+  const global = t.throws(() => rename('function f(a) { return c; }', 'a', 'c'));
+  t.deepEqual(global.conflicts.map(({ reason, kind, loc }) => [reason, kind, loc.column]), [['shadow', 'global', 23]]);
+
+  // 没有声明的全局变量改名时被内层声明捕获
+  const implicit = t.throws(() => rename('function f(b) { return a; }', 'a', 'b'));
+  t.deepEqual(implicit.conflicts.map(({ reason, kind }) => [reason, kind]), [['capture', 'param']]);
+
+  // 不相交的作用域中的同名变量不冲突
+  t.is(rename('function f(a) { return a; } function g(b) { return b; }', 'a', 'b', { position: { line: 1, column: 11 } }),
+    'function f(b) {\n  return b;\n}\nfunction g(b) {\n  return b;\n}\n');
+})
+
+test('改名冲突 - suffix 自动选择不冲突的名字', t => {
+  const { code, name } = rename.renameWithSourceMap(
+    'var a = 1, b = 2, b_1 = 3;\nb + a;',
+    'a',
+    'b',
+    { onConflict: 'suffix' }
+  );
+  t.is(name, 'b_2');
+  t.is(code, 'var b_2 = 1, b = 2, b_1 = 3;\nb + b_2;\n');
+})
+
+test('非法的目标名', t => {
+  t.throws(() => rename('var a;', 'a', '1b'), { message: 'Invalid identifier 1b' });
+  t.throws(() => rename('var a;', 'a', 'for'), { message: 'Invalid identifier for' });
+  t.throws(() => rename('var a;', 'a', 'class'), { message: 'Invalid identifier class' });
+  t.throws(() => renameSource('var a = 1;', 'a', 'yield'), { message: 'Invalid identifier yield' });
+  t.throws(() => rename('var a;', 'a', 'a-b'), { message: 'Invalid identifier a-b' });
+  // Unicode 标识符是合法的
+  t.is(renameSource('var a = 1;', 'a', '数量').code, 'var 数量 = 1;');
+  t.is(renameSource('var a = 1;', 'a', 'café$1').code, 'var café$1 = 1;');
+})
+
+test('ES2015+ - let/const、箭头函数、类、默认参数与模板字符串', t => {
+  const sourceCode = `
+const foo = 1;
+let f = (x = foo) => \`\${foo}\${x}\`;
+class A extends Base {
+  foo() { return foo; }
+  get [foo]() { return this.foo; }
+}
+for (let foo of list) { foo; }
+{ let foo = 2; foo; }
+`;
+  const targetCode = `
+const bar = 1;
+let f = (x = bar) => \`\${bar}\${x}\`;
+class A extends Base {
+  foo() { return bar; }
+  get [bar]() { return this.foo; }
+}
+for (let foo of list) { foo; }
+{ let foo = 2; foo; }
+`;
+  t.deepEqual(toStandard(rename(sourceCode, 'foo', 'bar', { position: { line: 2, column: 6 } })), toStandard(targetCode))
+})
+
+test('ES2015+ - 简写属性与解构', t => {
+  const sourceCode = `
+const { foo, baz: [qux = foo] } = obj;
+const { foo: other = foo } = obj;
+const o = { foo, [foo]: foo, foo() {} };
+[foo] = [];
+`;
+  const result = rename(sourceCode, 'foo', 'bar', { position: { line: 2, column: 8 } });
+  t.deepEqual(toStandard(result), toStandard(`
+const { foo: bar, baz: [qux = bar] } = obj;
+const { foo: other = bar } = obj;
+const o = { foo: bar, [bar]: bar, foo() {} };
+[bar] = [];
+`));
+
+  // 光标在简写属性上时改名 value 对应的变量
+  const shorthand = rename('let a = 1, o = { a };', 'a', 'b', { position: { line: 1, column: 17 } });
+  t.is(shorthand, 'let b = 1, o = {\n  a: b\n};\n');
+
+  // 带默认值的简写解构
+  t.is(rename('const { a = 1 } = o; a;', 'a', 'b'), 'const {a: b = 1} = o;\nb;\n');
+})
+
+test('ES2015+ - import / export 保留对外的名字', t => {
+  const sourceCode = `
+import { foo, baz } from 'mod';
+export { foo };
+export const qux = foo;
+`;
+  const result = rename(sourceCode, 'foo', 'bar', { sourceType: 'module' });
+  t.deepEqual(toStandard(result, 'module'), toStandard(`
+import { foo as bar, baz } from 'mod';
+export { bar as foo };
+export const qux = bar;
+`, 'module'));
+})
+
+test('批量改名 - 交换名字并返回改名记录', t => {
+  const { code, report } = renameMany('var a = 1, b = 2;\nvar c = a + b;', { a: 'b', b: 'a' });
+  t.is(code, 'var b = 1, a = 2;\nvar c = b + a;\n');
+  t.deepEqual(report, [
+    { line: 1, column: 4, oldName: 'a', newName: 'b' },
+    { line: 1, column: 11, oldName: 'b', newName: 'a' },
+    { line: 2, column: 8, oldName: 'a', newName: 'b' },
+    { line: 2, column: 12, oldName: 'b', newName: 'a' },
+  ]);
+})
+
+test('批量改名 - 作用域、属性和全局变量', t => {
+  const sourceCode = `
+var foo = 1;
+function f(bar) {
+  let foo = bar;
+  return { foo, bar: console.log(foo) };
+}
+`;
+  const { code } = renameMany(sourceCode, { foo: 'x', bar: 'y', console: 'logger' });
+  t.deepEqual(toStandard(code), toStandard(`
+var x = 1;
+function f(y) {
+  let x = y;
+  return { foo: x, bar: logger.log(x) };
+}
+`));
+})
+
+test('批量改名 - 冲突', t => {
+  const redeclare = t.throws(() => renameMany('var a, b, c;', { a: 'c' }));
+  t.is(redeclare.message, 'Cannot apply renames:\n  - a -> c: var c at 1:10 already declared in the same scope');
+  // 同时把 c 改掉就没有冲突
+  t.is(renameMany('var a, b, c;', { a: 'c', c: 'd' }).code, 'var c, b, d;\n');
+
+  const capture = t.throws(() => renameMany('var a; function f(b) { return a; }', { a: 'b' }));
+  t.deepEqual(capture.conflicts.map(({ reason, originName }) => [reason, originName]), [['capture', 'a']]);
+
+  const shadow = t.throws(() => renameMany('var a; function f(b) { return a; }', { b: 'a' }));
+  t.deepEqual(shadow.conflicts.map(({ reason, originName }) => [reason, originName]), [['shadow', 'b']]);
+
+  t.throws(() => renameMany('var a;', { a: '1a' }), { message: 'Invalid identifier 1a' });
+  t.throws(() => renameMany('var a = 1;', { a: 'for' }), { message: 'Invalid identifier for' });
+  t.deepEqual(renameMany('var a = 1;', { a: '总数' }).code, 'var 总数 = 1;\n');
+})
+
+const referenceCode = `
+function outer() {
+  try {
+    use(count);
+  } catch (error) {
+    count += helper(error);
+  }
+  var count = 0;
+  function helper(e) { return e && count; }
+  return function () { return count++; };
+}
+`
+
+test('查找引用 - 声明和所有引用，经过变量提升和闭包', t => {
+  // 光标在 count += 上
+  const occurrences = findReferences(referenceCode, 6, 4)
+  t.deepEqual(occurrences.map(({ type, loc }) => [type, loc.start.line, loc.start.column]), [
+    ['read', 4, 8],
+    ['readwrite', 6, 4],
+    ['declaration', 8, 6],
+    ['read', 9, 35],
+    ['readwrite', 10, 30],
+  ])
+  t.true(occurrences.every(({ name }) => name === 'count'))
+  const [first] = occurrences
+  t.is(referenceCode.slice(first.start, first.end), 'count')
+  t.deepEqual(first.loc, { start: { line: 4, column: 8 }, end: { line: 4, column: 13 } })
+
+  // 光标在函数声明和 catch 参数上
+  t.deepEqual(findReferences(referenceCode, 6, 14).map(({ type, loc }) => [type, loc.start.line]), [
+    ['read', 6],
+    ['declaration', 9],
+  ])
+  t.deepEqual(findReferences(referenceCode, 5, 13).map(({ type, loc }) => [type, loc.start.line]), [
+    ['declaration', 5],
+    ['read', 6],
+  ])
+})
+
+test('查找引用 - 全局变量和非变量位置', t => {
+  t.deepEqual(findReferences('use(a); use(a.b);', 1, 0).map(({ start }) => start), [0, 8])
+  t.deepEqual(findReferences('use(a); use(a.b);', 1, 14), [])
+  t.deepEqual(findReferences('label: use(a);', 1, 2), [])
+})
+
+test('跳转到定义', t => {
+  const definition = findDefinition(referenceCode, 10, 32)
+  t.deepEqual(definition, {
+    name: 'count',
+    type: 'declaration',
+    start: referenceCode.indexOf('count = 0'),
+    end: referenceCode.indexOf('count = 0') + 5,
+    loc: { start: { line: 8, column: 6 }, end: { line: 8, column: 11 } },
+  })
+  t.is(findDefinition(referenceCode, 6, 20).loc.start.line, 5)
+  t.is(findDefinition(referenceCode, 4, 4), null)
+  t.is(findDefinition('function f() { return arguments; }', 1, 25), null)
+  t.is(findDefinition('export const a = 1; a;', 1, 20, { sourceType: 'module' }).start, 13)
+})
+
+test('renameSource 只替换标识符，保留格式和注释', t => {
+  const sourceCode = "import { foo } from 'a';\n// foo\nexport { foo };\nconst { foo: x = foo } = {  foo  };\n"
+  const { code, name, edits } = renameSource(sourceCode, 'foo', 'bar', { sourceType: 'module' })
+  t.is(code, "import { foo as bar } from 'a';\n// foo\nexport { bar as foo };\nconst { foo: x = bar } = {  foo: bar  };\n")
+  t.is(name, 'bar')
+  t.is(edits.length, 4)
+  t.deepEqual(renameSource('var a;', 'b', 'c').edits, [])
+})
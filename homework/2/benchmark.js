@@ -0,0 +1,57 @@
+/**
+ * 比较树遍历求值和编译成闭包之后的执行速度
+ * node homework/2/benchmark.js [次数]
+ */
+const acorn = require("acorn");
+const { performance } = require("perf_hooks");
+const compile = require("./compile");
+const { evaluate } = require("./eval");
+
+const CASES = [
+  {
+    name: "arithmetic",
+    code: "(a + b) * c - a / (b + 1) + (a > b ? a % 7 : b % 7)",
+    env: { a: 12, b: 5, c: 3 },
+  },
+  {
+    name: "member access",
+    code: "user.profile.scores[0] + user.profile.scores[1] + user.profile?.bonus ?? 0",
+    env: { user: { profile: { scores: [90, 85], bonus: 3 } } },
+  },
+  {
+    name: "recursion",
+    code: "(f => (x => f(y => x(x)(y)))(x => f(y => x(x)(y))))(f => n => n <= 1 ? n : n * f(n - 1))(10)",
+    env: {},
+  },
+];
+
+const parse = (code) => acorn.parseExpressionAt(code, 0, { ecmaVersion: 2020 });
+
+const measure = (iterations, fn) => {
+  // 先预热同样的次数，让 JIT 完成优化；闭包的调用点多，预热次数少时还在解释执行
+  for (let i = 0; i < iterations; i++) fn();
+  const start = performance.now();
+  for (let i = 0; i < iterations; i++) fn();
+  return performance.now() - start;
+};
+
+function main(iterations) {
+  const rows = CASES.map(({ name, code, env }) => {
+    const node = parse(code);
+    const run = compile(code);
+    const parseAndWalk = measure(iterations, () => evaluate(parse(code), env));
+    const walk = measure(iterations, () => evaluate(node, env));
+    const compiled = measure(iterations, () => run(env));
+    return {
+      case: name,
+      "parse + walk (ms)": parseAndWalk.toFixed(1),
+      "walk (ms)": walk.toFixed(1),
+      "compiled (ms)": compiled.toFixed(1),
+      "speedup vs walk": `${(walk / compiled).toFixed(2)}x`,
+    };
+  });
+  console.log(`${iterations} iterations per case`);
+  console.table(rows);
+}
+
+main(Number(process.argv[2]) || 20000);
@@ -0,0 +1,428 @@
+const acorn = require("acorn");
+const {
+  GLOBAL_CONSTANTS,
+  BINARY_OPERATORS,
+  UNARY_OPERATORS,
+  SHORT_CIRCUIT,
+  SANDBOX,
+  hasOwn,
+  toPropertyKey,
+  getOperator,
+  readVariable,
+  readTarget,
+  writeTarget,
+  deleteTarget,
+  describeCallee,
+  createSandbox,
+  countOperation,
+  checkOutput,
+  checkBlocked,
+  checkCall,
+} = require("./runtime");
+
+/**
+ * 编译后的表达式，参数为变量环境
+ * @typedef {(env: Object) => *} Compiled
+ */
+
+/**
+ * 把节点编译成闭包，运算符、属性名等在编译时确定，执行时不再遍历 AST
+ * 语义和 eval.js 中的树遍历求值完全一致
+ * @param {*} node
+ * @param {boolean} sandboxed 是否检查沙箱，在编译时决定
+ * @returns {Compiled}
+ */
+function compileNode(node, sandboxed) {
+  const run = compileExpression(node, sandboxed);
+  if (!sandboxed) return run;
+  return (env) => {
+    const sandbox = env[SANDBOX];
+    countOperation(sandbox);
+    return checkOutput(sandbox, run(env));
+  };
+}
+
+function compileExpression(node, sandboxed) {
+  switch (node.type) {
+    case "BinaryExpression":
+      return compileBinaryExpression(node, sandboxed);
+    case "Identifier":
+      return compileIdentifier(node, sandboxed);
+    case "Literal": {
+      const { value } = node;
+      return () => value;
+    }
+    case "LogicalExpression":
+      return compileLogicalExpression(node, sandboxed);
+    case "CallExpression":
+      return compileCallExpression(node, sandboxed);
+    case "ArrowFunctionExpression":
+      return compileArrowFunctionExpression(node, sandboxed);
+    case "ConditionalExpression":
+      return compileConditionalExpression(node, sandboxed);
+    case "ObjectExpression":
+      return compileObjectExpression(node, sandboxed);
+    case "ArrayExpression":
+      return compileArrayExpression(node, sandboxed);
+    case "SequenceExpression":
+      return compileSequenceExpression(node, sandboxed);
+    case "AssignmentExpression":
+      return compileAssignmentExpression(node, sandboxed);
+    case "UnaryExpression":
+      return compileUnaryExpression(node, sandboxed);
+    case "UpdateExpression":
+      return compileUpdateExpression(node, sandboxed);
+    case "MemberExpression":
+      return compileMemberExpression(node, sandboxed);
+    case "ChainExpression":
+      return compileChainExpression(node, sandboxed);
+  }
+
+  throw new Error(
+    `Unsupported Syntax ${node} ${node.type} at Location ${node.start}:${node.end}`
+  );
+}
+
+function compileIdentifier(node, sandboxed) {
+  const { name } = node;
+  if (sandboxed) return (env) => readVariable(env, name);
+  const fallback = hasOwn(GLOBAL_CONSTANTS, name) ? GLOBAL_CONSTANTS[name] : undefined;
+  return (env) => (name in env ? env[name] : fallback);
+}
+
+/**
+ * 每个运算符直接生成一个闭包，执行时不再经过 BINARY_OPERATORS 表中的函数调用
+ */
+function compileBinaryExpression(node, sandboxed) {
+  const left = compileNode(node.left, sandboxed);
+  const right = compileNode(node.right, sandboxed);
+  switch (node.operator) {
+    case "+":
+      return (env) => left(env) + right(env);
+    case "-":
+      return (env) => left(env) - right(env);
+    case "*":
+      return (env) => left(env) * right(env);
+    case "/":
+      return (env) => left(env) / right(env);
+    case "%":
+      return (env) => left(env) % right(env);
+    case "**":
+      return (env) => left(env) ** right(env);
+    case "==":
+      return (env) => left(env) == right(env);
+    case "!=":
+      return (env) => left(env) != right(env);
+    case "===":
+      return (env) => left(env) === right(env);
+    case "!==":
+      return (env) => left(env) !== right(env);
+    case "<":
+      return (env) => left(env) < right(env);
+    case "<=":
+      return (env) => left(env) <= right(env);
+    case ">":
+      return (env) => left(env) > right(env);
+    case ">=":
+      return (env) => left(env) >= right(env);
+    case "<<":
+      return (env) => left(env) << right(env);
+    case ">>":
+      return (env) => left(env) >> right(env);
+    case ">>>":
+      return (env) => left(env) >>> right(env);
+    case "&":
+      return (env) => left(env) & right(env);
+    case "|":
+      return (env) => left(env) | right(env);
+    case "^":
+      return (env) => left(env) ^ right(env);
+    default: {
+      // in、instanceof 以及不支持的运算符
+      const apply = getOperator(node.operator, BINARY_OPERATORS);
+      return (env) => apply(left(env), right(env));
+    }
+  }
+}
+
+function compileLogicalExpression(node, sandboxed) {
+  const left = compileNode(node.left, sandboxed);
+  const right = compileNode(node.right, sandboxed);
+  switch (node.operator) {
+    case "||":
+      return (env) => left(env) || right(env);
+    case "&&":
+      return (env) => left(env) && right(env);
+    case "??":
+      return (env) => left(env) ?? right(env);
+    default:
+      throw new Error(`Unsupported Operator ${node.operator}`);
+  }
+}
+
+function compileUnaryExpression(node, sandboxed) {
+  const { argument, operator } = node;
+  if (operator === "typeof") {
+    const value = compileNode(argument, sandboxed);
+    // 未定义的变量 typeof 不报错
+    if (argument.type === "Identifier") {
+      const { name } = argument;
+      return (env) => (name in env ? typeof value(env) : "undefined");
+    }
+    return (env) => typeof value(env);
+  }
+  if (operator === "delete") {
+    // env 相当于全局对象，删除变量就是删除它的属性
+    if (argument.type === "Identifier" || argument.type === "MemberExpression") {
+      const target = compileTarget(argument, sandboxed);
+      return (env) => deleteTarget(target(env), env);
+    }
+    if (argument.type === "ChainExpression") {
+      const member = compileMember(argument.expression, sandboxed);
+      return (env) => {
+        const target = member(env);
+        return target === SHORT_CIRCUIT ? true : deleteTarget(target, env);
+      };
+    }
+    const value = compileNode(argument, sandboxed);
+    return (env) => {
+      value(env);
+      return true;
+    };
+  }
+
+  const apply = getOperator(operator, UNARY_OPERATORS);
+  const value = compileNode(argument, sandboxed);
+  return (env) => apply(value(env));
+}
+
+function compileUpdateExpression(node, sandboxed) {
+  const { operator, prefix } = node;
+  const target = compileTarget(node.argument, sandboxed);
+  const increment = operator === "++";
+  return (env) => {
+    const resolved = target(env);
+    // 借助原生的 ++ / -- 完成 ToNumeric 转换
+    let value = readTarget(resolved, env);
+    const oldValue = increment ? value++ : value--;
+    writeTarget(resolved, value, env);
+    return prefix ? value : oldValue;
+  };
+}
+
+function compileAssignmentExpression(node, sandboxed) {
+  const { operator } = node;
+  const target = compileTarget(node.left, sandboxed);
+  const right = compileNode(node.right, sandboxed);
+  if (operator === "=") {
+    return (env) => writeTarget(target(env), right(env), env);
+  }
+  // 复合赋值：左边只求值一次
+  const apply = getOperator(operator.slice(0, -1), BINARY_OPERATORS);
+  return (env) => {
+    const resolved = target(env);
+    return writeTarget(resolved, apply(readTarget(resolved, env), right(env)), env);
+  };
+}
+
+/**
+ * 赋值目标，见 runtime.js 中的 Target
+ * @returns {(env: Object) => import("./runtime").Target}
+ */
+function compileTarget(node, sandboxed) {
+  switch (node.type) {
+    case "Identifier": {
+      const { name } = node;
+      return (env) => ({ object: env, key: name, variable: true });
+    }
+    case "MemberExpression":
+      return compileMember(node, sandboxed);
+    default:
+      throw new Error(`Unsupported assignment target ${node.type}`);
+  }
+}
+
+/**
+ * 成员表达式的对象和属性名，可选链短路时返回 SHORT_CIRCUIT
+ */
+function compileMember(node, sandboxed) {
+  const { optional, computed } = node;
+  const object = compileNode(node.object, sandboxed);
+  const property = computed ? compileNode(node.property, sandboxed) : null;
+  const name = computed ? null : node.property.name;
+  return (env) => {
+    const value = object(env);
+    if (value === SHORT_CIRCUIT || (optional && value == null)) return SHORT_CIRCUIT;
+    return { object: value, key: computed ? toPropertyKey(property(env)) : name };
+  };
+}
+
+function compileMemberExpression(node, sandboxed) {
+  if (sandboxed) {
+    const member = compileMember(node, sandboxed);
+    return (env) => {
+      const target = member(env);
+      return target === SHORT_CIRCUIT ? SHORT_CIRCUIT : readTarget(target, env);
+    };
+  }
+  // 不需要检查时直接取属性，不创建 Target
+  const { optional, computed } = node;
+  const object = compileNode(node.object, sandboxed);
+  const property = computed ? compileNode(node.property, sandboxed) : null;
+  const name = computed ? null : node.property.name;
+  return (env) => {
+    const value = object(env);
+    if (value === SHORT_CIRCUIT || (optional && value == null)) return SHORT_CIRCUIT;
+    return value[computed ? toPropertyKey(property(env)) : name];
+  };
+}
+
+function compileChainExpression(node, sandboxed) {
+  const expression = compileNode(node.expression, sandboxed);
+  return (env) => {
+    const value = expression(env);
+    return value === SHORT_CIRCUIT ? undefined : value;
+  };
+}
+
+function compileCallExpression(node, sandboxed) {
+  const { callee, optional } = node;
+  const description = describeCallee(callee);
+  const args = node.arguments.map((arg) => compileNode(arg, sandboxed));
+  const isMethod = callee.type === "MemberExpression";
+  const member = isMethod ? compileMember(callee, sandboxed) : null;
+  const calleeValue = isMethod ? null : compileCallee(callee, sandboxed);
+
+  return (env) => {
+    // 方法调用时 this 指向接收者
+    let func;
+    let thisValue;
+    let method = null;
+    if (isMethod) {
+      const target = member(env);
+      if (target === SHORT_CIRCUIT) return SHORT_CIRCUIT;
+      func = readTarget(target, env);
+      thisValue = target.object;
+      method = target.key;
+    } else {
+      func = calleeValue(env);
+      if (func === SHORT_CIRCUIT) return SHORT_CIRCUIT;
+    }
+    if (optional && func == null) return SHORT_CIRCUIT;
+
+    const values = args.map((arg) => arg(env));
+    if (typeof func !== "function") {
+      throw new TypeError(`${description} is not a function`);
+    }
+    if (sandboxed) checkCall(env[SANDBOX], func, method, description);
+    return func.apply(thisValue, values);
+  };
+}
+
+/**
+ * 被调用的函数不经过 checkOutput，能不能调用由 checkCall 决定
+ */
+function compileCallee(node, sandboxed) {
+  if (!sandboxed || node.type !== "Identifier") return compileNode(node, sandboxed);
+  const { name } = node;
+  return (env) => {
+    countOperation(env[SANDBOX]);
+    return readVariable(env, name);
+  };
+}
+
+function compileArrowFunctionExpression(node, sandboxed) {
+  const params = node.params.map((param) => param.name);
+  const body = compileNode(node.body, sandboxed);
+  return (env) => {
+    const func = function (...args) {
+      const localEnv = {};
+      for (let i = 0; i < params.length; i++) {
+        localEnv[params[i]] = args[i];
+      }
+      return body({ ...env, ...localEnv });
+    };
+    // 沙箱中创建的函数本身受沙箱限制，可以随意调用
+    if (sandboxed) env[SANDBOX].functions.add(func);
+    return func;
+  };
+}
+
+function compileConditionalExpression(node, sandboxed) {
+  const test = compileNode(node.test, sandboxed);
+  const consequent = compileNode(node.consequent, sandboxed);
+  const alternate = compileNode(node.alternate, sandboxed);
+  return (env) => (test(env) ? consequent(env) : alternate(env));
+}
+
+function compileKey(node, sandboxed) {
+  const key = compileNode(node, sandboxed);
+  return (env) => toPropertyKey(key(env));
+}
+
+function compileObjectExpression(node, sandboxed) {
+  const properties = node.properties.map((property) => {
+    const { key, computed } = property;
+    const name = computed ? null : key.type === "Identifier" ? key.name : key.value;
+    return {
+      key: computed ? compileKey(key, sandboxed) : () => name,
+      value: compileNode(property.value, sandboxed),
+    };
+  });
+  return (env) => {
+    const res = {};
+    for (const property of properties) {
+      const name = property.key(env);
+      // { __proto__: x } 会修改原型
+      if (sandboxed) checkBlocked(name);
+      res[name] = property.value(env);
+    }
+    // 沙箱中创建的对象可以随意修改
+    if (sandboxed) env[SANDBOX].objects.add(res);
+    return res;
+  };
+}
+
+function compileArrayExpression(node, sandboxed) {
+  // [1, , 2] 中的空位是 null，结果数组中同样留下空位
+  const elements = node.elements.map((element) => element && compileNode(element, sandboxed));
+  return (env) => {
+    const res = new Array(elements.length);
+    elements.forEach((element, i) => {
+      if (element) res[i] = element(env);
+    });
+    if (sandboxed) env[SANDBOX].objects.add(res);
+    return res;
+  };
+}
+
+function compileSequenceExpression(node, sandboxed) {
+  const expressions = node.expressions.map((expression) => compileNode(expression, sandboxed));
+  return (env) => {
+    let res;
+    for (const expression of expressions) {
+      res = expression(env);
+    }
+    return res;
+  };
+}
+
+/**
+ * 解析并编译表达式，返回的函数可以用不同的 env 多次执行
+ * 不支持的语法在编译时报错
+ * @param {string} code
+ * @param {Object} options
+ * @param {import("./runtime").SandboxOptions | boolean} [options.sandbox] 每次执行都使用新的沙箱，env 会被复制
+ * @returns {(env?: Object) => *}
+ */
+function compile(code, options = {}) {
+  const node = acorn.parseExpressionAt(code, 0, {
+    ecmaVersion: 2020,
+  });
+  const { sandbox } = options;
+  const run = compileNode(node, Boolean(sandbox));
+  if (!sandbox) return (env = {}) => run(env);
+  return (env = {}) => run({ ...env, [SANDBOX]: createSandbox(sandbox) });
+}
+
+module.exports = compile;
@@ -0,0 +1,60 @@
+const compile = require('./compile');
+const { evaluate } = require('./eval');
+const acorn = require('acorn');
+const test = require('ava');
+
+const walk = (code, env) => evaluate(acorn.parseExpressionAt(code, 0, { ecmaVersion: 2020 }), env)
+
+test('编译 - 结果与树遍历、原生 eval 一致', t => {
+  const env = { obj: { a: { b: [1, 2, { c: 'c' }] }, nil: null }, list: [3, 1, 2], Array }
+  const { obj, list } = env
+  const sourceCodeList = [
+    '1 - 2 + 3 * 10 / 5 % 4 ** 2',
+    '[1 == "1", null ?? 0, 0 || "a", 1 && "b", !0, -"3", ~5, typeof 1, typeof notDefined, void 0]',
+    '[1 << 3, -16 >>> 28, "a" in { a: 1 }, [] instanceof Array, 1n + 2n]',
+    'obj.a.b[2].c + obj["a"].b.length',
+    '[obj.nil?.x.y, obj.missing?.(), obj.a?.b?.[0]]',
+    'list.map(x => x * 2).filter(x => x > 2)',
+    '({ [obj.a.b[0] + 1]: 1, "k": 2, 3: 3, list })',
+    '(f => (x => f(y => x(x)(y)))(x => f(y => x(x)(y))))(f => n => n <= 1 ? n : n * f(n - 1))(10)',
+    '(1, 2, NaN, Infinity, undefined)',
+    '[1, , 2, , ]',
+  ]
+  for (const sourceCode of sourceCodeList) {
+    const expected = eval(sourceCode)
+    t.deepEqual(compile(sourceCode)({ ...env }), expected, sourceCode)
+    t.deepEqual(walk(sourceCode, { ...env }), expected, sourceCode)
+  }
+})
+
+test('编译 - 编译一次，用不同的 env 多次执行', t => {
+  const run = compile('a.n += step, a.n * 2')
+  const first = { a: { n: 1 }, step: 2 }
+  const second = { a: { n: 10 }, step: 5 }
+  t.is(run(first), 6)
+  t.is(run(second), 30)
+  t.is(run(first), 10)
+  t.is(first.a.n, 5)
+
+  const counter = compile('count++')
+  const env = { count: 0 }
+  counter(env)
+  counter(env)
+  t.is(env.count, 2)
+})
+
+test('编译 - 沙箱每次执行单独计数', t => {
+  const run = compile('list.map(x => x + 1)', { sandbox: { properties: ['map'], maxOperations: 20 } })
+  for (let i = 0; i < 3; i++) {
+    t.deepEqual(run({ list: [1, 2] }), [2, 3])
+  }
+  t.throws(() => run({ list: [1, 2, 3, 4, 5, 6, 7, 8] }), { message: 'Operation limit of 20 exceeded' })
+})
+
+test('编译 - 不支持的语法在编译时报错', t => {
+  t.throws(() => compile('true || `template`'), { message: /^Unsupported Syntax/ })
+  t.throws(() => compile('[...list]'), { message: /^Unsupported Syntax/ })
+  t.throws(() => compile('[1, , ...list]'), { message: /^Unsupported Syntax/ })
+  t.is(compile('[1, , 2]')().length, 3)
+  t.false(1 in compile('[1, , 2]')())
+})
@@ -1,11 +1,35 @@
-const acorn = require("acorn");
+const compile = require("./compile");
+const {
+  UNARY_OPERATORS,
+  SHORT_CIRCUIT,
+  SANDBOX,
+  getOperator,
+  applyBinaryOperator,
+  toPropertyKey,
+  readVariable,
+  readTarget,
+  writeTarget,
+  deleteTarget,
+  describeCallee,
+  countOperation,
+  checkOutput,
+  checkBlocked,
+  checkCall,
+} = require("./runtime");
 
 function evaluate(node, env) {
+  const sandbox = env[SANDBOX];
+  if (!sandbox) return evaluateNode(node, env);
+  countOperation(sandbox);
+  return checkOutput(sandbox, evaluateNode(node, env));
+}
+
+function evaluateNode(node, env) {
   switch (node.type) {
     case "BinaryExpression":
       return evaluateBinaryExpression(node, env);
     case "Identifier":
-      return env[node.name];
+      return evaluateIdentifier(node, env);
     case "Literal":
       return node.value;
     case "LogicalExpression":
@@ -24,6 +48,14 @@ function evaluate(node, env) {
       return evaluateSequenceExpression(node, env);
     case "AssignmentExpression": // 赋值
       return evaluateAssignmentExpression(node, env);
+    case "UnaryExpression":
+      return evaluateUnaryExpression(node, env);
+    case "UpdateExpression":
+      return evaluateUpdateExpression(node, env);
+    case "MemberExpression":
+      return evaluateMemberExpression(node, env);
+    case "ChainExpression":
+      return evaluateChainExpression(node, env);
   }
 
   throw new Error(
@@ -31,6 +63,10 @@ function evaluate(node, env) {
   );
 }
 
+function evaluateIdentifier(node, env) {
+  return readVariable(env, node.name);
+}
+
 /**
  * 二元表达式
  * @param {*} node
@@ -41,24 +77,11 @@ function evaluateBinaryExpression(node, env) {
   const { left, right, operator } = node;
   const leftValue = evaluate(left, env);
   const rightValue = evaluate(right, env);
-  switch (operator) {
-    case "+":
-      return leftValue + rightValue;
-    case "-":
-      return leftValue - rightValue;
-    case "*":
-      return leftValue * rightValue;
-    case "/":
-      return leftValue / rightValue;
-    case "<=":
-      return leftValue <= rightValue;
-    default:
-      throw new Error(`Unsupported Operator ${operator}`);
-  }
+  return applyBinaryOperator(operator, leftValue, rightValue);
 }
 
 /**
- * 逻辑表达式
+ * 逻辑表达式，右边只在需要时求值
  * @param {*} node
  * @param {*} env
  * @returns
@@ -71,30 +94,131 @@ function evaluateLogicalExpression(node, env) {
       return leftValue || evaluate(right, env);
     case "&&":
       return leftValue && evaluate(right, env);
+    case "??":
+      return leftValue ?? evaluate(right, env);
     default:
       throw new Error(`Unsupported Operator ${operator}`);
   }
 }
 
 /**
- * 赋值语句
+ * 一元表达式
  * @param {*} node
  * @param {*} env
+ * @returns
  */
-function evaluateAssignmentExpression(node, env) {
-  const { left, right, operator } = node;
+function evaluateUnaryExpression(node, env) {
+  const { argument, operator } = node;
   switch (operator) {
-    case "=":
-      let res;
-      if (left.type === "Identifier") {
-        res = env[left.name] = evaluate(right, env);
-      } else {
-        res = env[evaluate(left, env)] = evaluate(right, env);
+    case "typeof":
+      // 未定义的变量 typeof 不报错
+      if (argument.type === "Identifier" && !(argument.name in env)) {
+        return "undefined";
+      }
+      return typeof evaluate(argument, env);
+    case "delete": {
+      // env 相当于全局对象，删除变量就是删除它的属性
+      if (argument.type === "Identifier" || argument.type === "MemberExpression") {
+        return deleteTarget(evaluateTarget(argument, env), env);
       }
-      return res;
+      if (argument.type === "ChainExpression") {
+        const target = evaluateMember(argument.expression, env);
+        return target === SHORT_CIRCUIT ? true : deleteTarget(target, env);
+      }
+      evaluate(argument, env);
+      return true;
+    }
+  }
+
+  return getOperator(operator, UNARY_OPERATORS)(evaluate(argument, env));
+}
+
+/**
+ * 自增自减
+ * @param {*} node
+ * @param {*} env
+ * @returns
+ */
+function evaluateUpdateExpression(node, env) {
+  const { argument, operator, prefix } = node;
+  const target = evaluateTarget(argument, env);
+  // 借助原生的 ++ / -- 完成 ToNumeric 转换，不会像 + 一样拼接字符串
+  let value = readTarget(target, env);
+  const oldValue = operator === "++" ? value++ : value--;
+  writeTarget(target, value, env);
+  return prefix ? value : oldValue;
+}
+
+/**
+ * 赋值语句，左边可以是变量或者对象属性
+ * @param {*} node
+ * @param {*} env
+ */
+function evaluateAssignmentExpression(node, env) {
+  const { left, right, operator } = node;
+  const target = evaluateTarget(left, env);
+  if (operator === "=") {
+    return writeTarget(target, evaluate(right, env), env);
+  }
+  // 复合赋值：a += b 相当于 a = a + b，左边只求值一次
+  const binaryOperator = operator.slice(0, -1);
+  const value = applyBinaryOperator(binaryOperator, readTarget(target, env), evaluate(right, env));
+  return writeTarget(target, value, env);
+}
+
+/**
+ * 求出赋值目标所在的对象和属性名，变量是 env 上的属性
+ * @param {*} node
+ * @param {*} env
+ * @returns {{ object: Object, key: *, variable?: boolean }}
+ */
+function evaluateTarget(node, env) {
+  switch (node.type) {
+    case "Identifier":
+      return { object: env, key: node.name, variable: true };
+    case "MemberExpression":
+      return evaluateMember(node, env);
     default:
-      throw new Error(`Unsupported Operator ${operator}`);
+      throw new Error(`Unsupported assignment target ${node.type}`);
+  }
+}
+
+/**
+ * 求出成员表达式的对象和属性名，可选链短路时返回 SHORT_CIRCUIT
+ * @param {*} node
+ * @param {*} env
+ * @returns {{ object: *, key: * } | symbol}
+ */
+function evaluateMember(node, env) {
+  const object = evaluate(node.object, env);
+  if (object === SHORT_CIRCUIT || (node.optional && object == null)) {
+    return SHORT_CIRCUIT;
   }
+  const key = node.computed ? toPropertyKey(evaluate(node.property, env)) : node.property.name;
+  return { object, key };
+}
+
+/**
+ * 成员表达式：a.b、a[expr]、a?.b
+ * @param {*} node
+ * @param {*} env
+ * @returns
+ */
+function evaluateMemberExpression(node, env) {
+  const member = evaluateMember(node, env);
+  if (member === SHORT_CIRCUIT) return SHORT_CIRCUIT;
+  return readTarget(member, env);
+}
+
+/**
+ * 可选链，链中任何一处短路整个表达式的结果都是 undefined
+ * @param {*} node
+ * @param {*} env
+ * @returns
+ */
+function evaluateChainExpression(node, env) {
+  const value = evaluate(node.expression, env);
+  return value === SHORT_CIRCUIT ? undefined : value;
 }
 
 /**
@@ -104,18 +228,40 @@ function evaluateAssignmentExpression(node, env) {
  * @returns
  */
 function evaluateCallExpression(node, env) {
-  const callRes = evaluate(
-    node.callee,
-    env
-  )(...node.arguments.map((arg) => evaluate(arg, env)));
-  return callRes;
+  const { callee } = node;
+  // 方法调用时 this 指向接收者
+  let func;
+  let thisValue;
+  let method = null;
+  if (callee.type === "MemberExpression") {
+    const member = evaluateMember(callee, env);
+    if (member === SHORT_CIRCUIT) return SHORT_CIRCUIT;
+    func = readTarget(member, env);
+    thisValue = member.object;
+    method = member.key;
+  } else if (callee.type === "Identifier") {
+    // 被调用的函数不经过 checkOutput，能不能调用由 checkCall 决定
+    if (env[SANDBOX]) countOperation(env[SANDBOX]);
+    func = readVariable(env, callee.name);
+  } else {
+    func = evaluate(callee, env);
+    if (func === SHORT_CIRCUIT) return SHORT_CIRCUIT;
+  }
+  if (node.optional && func == null) return SHORT_CIRCUIT;
+
+  const args = node.arguments.map((arg) => evaluate(arg, env));
+  if (typeof func !== "function") {
+    throw new TypeError(`${describeCallee(callee)} is not a function`);
+  }
+  if (env[SANDBOX]) checkCall(env[SANDBOX], func, method, describeCallee(callee));
+  return func.apply(thisValue, args);
 }
 
 /**
  * 箭头函数
  */
 function evaluateArrowFunctionExpression(node, env) {
-  return function (...args) {
+  const func = function (...args) {
     const localEnv = {};
     const params = node.params;
     for (let i = 0; i < params.length; i++) {
@@ -123,6 +269,9 @@ function evaluateArrowFunctionExpression(node, env) {
     }
     return evaluate(node.body, { ...env, ...localEnv });
   };
+  // 沙箱中创建的函数本身受沙箱限制，可以随意调用
+  if (env[SANDBOX]) env[SANDBOX].functions.add(func);
+  return func;
 }
 
 /**
@@ -145,13 +294,25 @@ function evaluateConditionalExpression(node, env) {
 function evaluateObjectExpression(node, env) {
   const res = {};
   node.properties.forEach((property) => {
-    res[property.key.name] = evaluate(property.value, env);
+    const { key, computed } = property;
+    const name = computed ? toPropertyKey(evaluate(key, env)) : key.type === "Identifier" ? key.name : key.value;
+    // { __proto__: x } 会修改原型
+    if (env[SANDBOX]) checkBlocked(name);
+    res[name] = evaluate(property.value, env);
   });
+  // 沙箱中创建的对象可以随意修改
+  if (env[SANDBOX]) env[SANDBOX].objects.add(res);
   return res;
 }
 
 function evaluateArrayExpression(node, env) {
-  return node.elements.map((element) => evaluate(element, env));
+  // [1, , 2] 中的空位是 null，结果数组中同样留下空位
+  const res = new Array(node.elements.length);
+  node.elements.forEach((element, i) => {
+    if (element) res[i] = evaluate(element, env);
+  });
+  if (env[SANDBOX]) env[SANDBOX].objects.add(res);
+  return res;
 }
 
 function evaluateSequenceExpression(node, env) {
@@ -163,11 +324,18 @@ function evaluateSequenceExpression(node, env) {
   return res;
 }
 
-function customerEval(code, env = {}) {
-  const node = acorn.parseExpressionAt(code, 0, {
-    ecmaVersion: 6,
-  });
-  return evaluate(node, env);
+/**
+ * 编译后立即执行，多次执行同一个表达式时应该直接使用 compile
+ * @param {string} code
+ * @param {Object} env
+ * @param {Object} options
+ * @param {import("./runtime").SandboxOptions | boolean} [options.sandbox] 在沙箱中求值，env 会被复制，表达式对变量的修改不会写回 env
+ * @returns
+ */
+function customerEval(code, env = {}, options = {}) {
+  return compile(code, options)(env);
 }
 
 module.exports = customerEval;
+// 树遍历的实现保留下来作为对照，见 benchmark.js
+module.exports.evaluate = evaluate;
@@ -1,4 +1,7 @@
 const customerEval = require('./eval');
+const { evaluate } = require('./eval');
+const { SANDBOX, createSandbox } = require('./runtime');
+const acorn = require('acorn');
 const test = require('ava');
 
 function throwError() {
@@ -29,4 +32,228 @@ test('测试表达式 - 终极挑战', t => {
 test('测试表达式 - 超纲挑战(下节课会讲)', t => {
   const sourceCode = '(n => ((x => n = x)(n + 2), (y => n + y)(3)))(1)'
   t.deepEqual(customerEval(sourceCode), eval(sourceCode));
-})
\ No newline at end of file
+})
+test('测试表达式 - 二元运算符', t => {
+  const sourceCodeList = [
+    '7 % 3 + -7 % 3 + 2 ** 10 + 2 ** -1 + (-2) ** 3',
+    '[1 == "1", 1 != "1", 1 === "1", 1 !== "1", null == undefined, null === undefined, NaN == NaN]',
+    '[1 < 2, "10" < "9", 10 < "9", 2 >= 2, "b" > "a", null >= 0, undefined <= 0, 1 <= 2]',
+    '[1 << 3, -16 >> 2, -16 >>> 28, 5 & 3, 5 | 3, 5 ^ 3, 1 << 33]',
+    '["a" in { a: 1 }, "b" in { a: 1 }, 0 in [1], [] instanceof Array, ({}) instanceof Array, throwError instanceof Object]',
+    '[1 + "2", "3" - 1, "3" * "4", true + 1, null + 1, undefined + 1, [] + {}, 1n + 2n, 2n ** 64n]',
+    '[0.1 + 0.2, 1 / 0, -1 / 0, 0 / 0, 2 ** 0.5]',
+  ];
+  for (const sourceCode of sourceCodeList) {
+    t.deepEqual(customerEval(sourceCode, { ...baseEnv, Array, Object }), eval(sourceCode));
+  }
+  t.throws(() => customerEval('1 in 2'), { instanceOf: TypeError });
+  t.throws(() => customerEval('1n + 1'), { instanceOf: TypeError });
+})
+
+test('测试表达式 - 逻辑运算符短路', t => {
+  const sourceCodeList = [
+    'null ?? 1',
+    'undefined ?? "default"',
+    '0 ?? throwError()',
+    '"" ?? throwError()',
+    'false ?? throwError()',
+    '(null ?? 0) || 3',
+    '1 && 0 && throwError()',
+    '"" || 0 || null',
+  ];
+  for (const sourceCode of sourceCodeList) {
+    t.deepEqual(customerEval(sourceCode, baseEnv), eval(sourceCode));
+  }
+})
+
+test('测试表达式 - 一元运算符', t => {
+  const sourceCodeList = [
+    '[!0, !"", !"a", !!{}, -"3", +"3", +"", +[], +{}, -true, ~5, ~-1, ~~3.7, -(-0)]',
+    '[typeof 1, typeof "a", typeof true, typeof undefined, typeof null, typeof {}, typeof throwError, typeof 1n]',
+    'typeof notDefined',
+    'void throwError',
+    'delete 1',
+  ];
+  for (const sourceCode of sourceCodeList) {
+    t.deepEqual(customerEval(sourceCode, baseEnv), eval(sourceCode));
+  }
+  const env = { a: 1 };
+  t.true(customerEval('delete a', env));
+  t.false('a' in env);
+  t.throws(() => customerEval('+1n'), { instanceOf: TypeError });
+})
+
+test('测试表达式 - 复合赋值与自增自减', t => {
+  const env = { a: 10, s: '1', n: null };
+  t.deepEqual(
+    customerEval('[a += 5, a -= 3, a *= 2, a /= 4, a %= 4, a **= 3, a <<= 2, a >>= 1, a >>>= 1, a |= 8, a &= 12, a ^= 5]', env),
+    (() => { let a = 10; return [a += 5, a -= 3, a *= 2, a /= 4, a %= 4, a **= 3, a <<= 2, a >>= 1, a >>>= 1, a |= 8, a &= 12, a ^= 5]; })()
+  );
+  t.deepEqual(customerEval('[s++, s, ++s, s--, --s, n++, n]', env), [1, 2, 3, 3, 1, 0, 1]);
+  t.is(customerEval('s += 1', { s: '1' }), '11');
+})
+
+test('测试表达式 - 成员访问与可选链', t => {
+  const env = {
+    obj: { a: { b: [10, 20, { c: 'deep' }] }, key: 'a', nil: null },
+    list: [1, 2, 3],
+  }
+  const sourceCodeList = [
+    'obj.a.b[2].c',
+    'obj[obj.key].b[1 + 1]["c"]',
+    'list.length + list[list.length - 1]',
+    '"abc".length + "abc"[1]',
+    '[obj.nil?.x, obj.nil?.x.y.z, obj.missing?.[throwError()], obj.a?.b?.[0]]',
+    'obj.nil?.method()',
+    'obj.a.missing?.()',
+    'typeof obj?.a',
+    '({ [obj.key + 1]: 1, "quoted-key": 2, 3: 3, list })',
+  ]
+  const { obj, list } = env
+  for (const sourceCode of sourceCodeList) {
+    t.deepEqual(customerEval(sourceCode, { ...baseEnv, ...env }), eval(sourceCode))
+  }
+  t.throws(() => customerEval('obj.nil.x', env), { instanceOf: TypeError })
+  t.throws(() => customerEval('(obj.nil?.x).y', env), { instanceOf: TypeError })
+})
+
+test('测试表达式 - 方法调用绑定 this', t => {
+  const counter = { count: 1, add(step) { return this.count + step }, self() { return this } }
+  const env = { counter, list: [3, 1, 2], text: 'Hello' }
+  t.is(customerEval('counter.add(2)', env), 3)
+  t.is(customerEval('counter["add"](3)', env), 4)
+  t.is(customerEval('counter.self?.()', env), counter)
+  t.is(customerEval('counter?.self()', env), counter)
+  t.deepEqual(customerEval('list.map(x => x * 2).filter(x => x > 2).sort()', env), [4, 6])
+  t.is(customerEval('text.toUpperCase().slice(1)', env), 'ELLO')
+  t.throws(() => customerEval('counter.missing()', env), { instanceOf: TypeError, message: 'counter.missing is not a function' })
+})
+
+test('测试表达式 - 给对象属性赋值', t => {
+  const env = { obj: { a: 1, nested: { list: [1, 2] } }, key: 'b', a: 'untouched' }
+  t.is(customerEval('obj.a = 5', env), 5)
+  t.is(customerEval('obj[key] = obj.a + 1', env), 6)
+  t.is(customerEval('obj.nested.list[1] += 10', env), 12)
+  t.is(customerEval('obj.a++', env), 5)
+  t.is(customerEval('--obj[key]', env), 5)
+  t.true(customerEval('delete obj.nested', env))
+  t.deepEqual(env, { obj: { a: 6, b: 5 }, key: 'b', a: 'untouched' })
+  t.true(customerEval('delete obj?.missing', env))
+  t.true(customerEval('delete obj.nil?.x', env))
+})
+
+test('沙箱 - 白名单内的函数和属性', t => {
+  const env = { user: { name: 'Ada', tags: ['a', 'b'] }, max: Math.max, format: value => `#${value}` }
+  const sandbox = { functions: [Math.max], properties: ['length', 'map', 'join', 'toUpperCase'] }
+  t.is(customerEval('user.name.toUpperCase() + user.tags.length', env, { sandbox }), 'ADA2')
+  t.is(customerEval('user.tags.map(tag => tag + "!").join(",")', env, { sandbox }), 'a!,b!')
+  t.is(customerEval('max(1, 3, 2)', env, { sandbox }), 3)
+  t.is(customerEval('(f => f(2))(x => x * 2)', env, { sandbox }), 4)
+
+  const callError = t.throws(() => customerEval('format(1)', env, { sandbox }))
+  t.is(callError.reason, 'call')
+  t.is(callError.message, 'Calling format is not allowed')
+  t.throws(() => customerEval('user.name.slice(1)', env, { sandbox }), { message: 'Access to property slice is not allowed' })
+  // 白名单中的方法名不能用来间接调用其他函数
+  t.throws(() => customerEval('format.call(null, 1)', env, { sandbox: { properties: ['call'] } }), { message: 'Access to function format is not allowed' })
+  t.throws(() => customerEval('(x => x).call(null, 1)', env, { sandbox: { properties: ['call'] } }), { message: 'Calling expression.call is not allowed' })
+})
+
+test('沙箱 - 阻止访问 constructor、__proto__ 和 prototype', t => {
+  const env = { obj: {}, list: [], fn: () => 1 }
+  const sandbox = { properties: ['constructor', 'map'] }
+  const codeList = [
+    'obj.constructor',
+    'list["constructor"]',
+    '"".constructor.constructor("return process")()',
+    'list.map.constructor',
+    'obj.__proto__',
+    'obj["__proto__"] = {}',
+    'fn.prototype',
+    'delete obj.prototype',
+    '({ __proto__: list })',
+    'obj[["constr", "uctor"].join("")]',
+  ]
+  for (const code of codeList) {
+    const error = t.throws(() => customerEval(code, env, { sandbox }), undefined, code)
+    t.true(['property', 'call'].includes(error.reason), code)
+  }
+  // env 的原型上的属性也拿不到
+  t.is(customerEval('constructor', env, { sandbox: true }), undefined)
+  t.is(customerEval('typeof toString', env, { sandbox: true }), 'undefined')
+})
+
+test('沙箱 - 运算次数和输出大小限制', t => {
+  const Y = '(f => (x => f(y => x(x)(y)))(x => f(y => x(x)(y))))'
+  const loop = `${Y}(f => n => f(n + 1))(0)`
+  t.throws(() => customerEval(loop, {}, { sandbox: { maxOperations: 1000 } }), {
+    message: 'Operation limit of 1000 exceeded',
+  })
+  t.is(customerEval(`${Y}(f => n => n <= 1 ? 1 : n * f(n - 1))(5)`, {}, { sandbox: { maxOperations: 1000 } }), 120)
+
+  const grow = `${Y}(f => s => f(s + s))("ab")`
+  const output = t.throws(() => customerEval(grow, {}, { sandbox: { maxStringLength: 1024 } }))
+  t.is(output.reason, 'output')
+  t.is(output.message, 'String length limit of 1024 exceeded')
+
+  t.throws(() => customerEval('list.concat(list, list)', { list: [1, 2, 3] }, { sandbox: { properties: ['concat'], maxArrayLength: 8 } }), {
+    message: 'Array length limit of 8 exceeded',
+  })
+})
+
+test('沙箱 - 不修改传入的 env', t => {
+  const env = { a: 1, obj: { b: 1 } }
+  t.is(customerEval('a = 2', env, { sandbox: true }), 2)
+  t.is(env.a, 1)
+  // 宿主对象的属性只有在 writable 中才能修改，修改的是同一个对象
+  t.throws(() => customerEval('obj.b = 2', env, { sandbox: true }), { message: 'Writing property b is not allowed' })
+  t.is(env.obj.b, 1)
+  customerEval('obj.b = 2', env, { sandbox: { writable: ['b'] } })
+  t.is(env.obj.b, 2)
+})
+
+test('沙箱 - 宿主函数不能作为值传递', t => {
+  const env = { list: [3, 1, 2], format: value => `#${value}`, obj: { f: () => 1 } }
+  const sandbox = { properties: ['map'] }
+  for (const code of ['list.map(Math.max)', 'list.map(format)', 'list.map(obj.f)', 'list.map', '[format][0]', 'typeof format']) {
+    const error = t.throws(() => customerEval(code, { ...env, Math }, { sandbox }), undefined, code)
+    t.is(error.reason, 'call', code)
+  }
+  t.throws(() => customerEval('list.map(format)', env, { sandbox }), { message: 'Access to function format is not allowed' })
+  // 白名单中的函数和沙箱中创建的函数可以传递
+  t.deepEqual(customerEval('list.map(format)', env, { sandbox: { ...sandbox, functions: [env.format] } }), ['#3', '#1', '#2'])
+  t.deepEqual(customerEval('list.map(x => x * 2)', env, { sandbox }), [6, 2, 4])
+})
+
+test('沙箱 - 不能修改和删除宿主对象的属性', t => {
+  const env = { list: [1, 2, 3], obj: { a: 1 } }
+  for (const code of ['obj.a = 2', 'obj.a++', 'obj["a"] += 1', 'list.length = 0', 'list[0] = 9', 'delete obj.a']) {
+    const error = t.throws(() => customerEval(code, env, { sandbox: { properties: ['length'] } }), undefined, code)
+    t.is(error.reason, 'property', code)
+  }
+  t.deepEqual(env, { list: [1, 2, 3], obj: { a: 1 } })
+  // 沙箱中创建的对象和数组可以修改
+  t.is(customerEval('(o => (o.a = 2, delete o.b, o.a + o.c))({ a: 1, b: 2, c: 3 })', env, { sandbox: true }), 5)
+  t.deepEqual(customerEval('(l => (l[1] = 5, l))([1, 2])', env, { sandbox: true }), [1, 5])
+  // writable 中的属性可以修改，但不能用来修改原型
+  t.true(customerEval('delete obj.a', env, { sandbox: { writable: ['a', '__proto__'] } }))
+  t.deepEqual(env.obj, {})
+  t.throws(() => customerEval('obj.__proto__ = list', env, { sandbox: { writable: ['__proto__'] } }), {
+    message: 'Access to property __proto__ is not allowed',
+  })
+})
+
+test('沙箱 - 计算出来的属性名只转换一次', t => {
+  // toString 第三次调用才返回真正的名字，以前检查用掉前两次，原生访问时拿到 constructor / __proto__
+  // 现在只转换一次，拿到的是无害的 map
+  const k = 'name => (s => ({ toString: () => (s.n = s.n + 1) % 3 === 0 ? name : "map" }))({ n: 0 })'
+  const escape = `(k => ({ f: (() => 0)[k('constructor')]('return process.version') })[k('f')]())(${k})`
+  const pollute = `(k => ({ a: 1 })[k('__proto__')].polluted = 'yes')(${k})`
+  const walk = (code, sandbox) =>
+    evaluate(acorn.parseExpressionAt(code, 0, { ecmaVersion: 2020 }), { [SANDBOX]: createSandbox(sandbox) })
+  for (const run of [(code, sandbox) => customerEval(code, {}, { sandbox }), walk]) {
+    t.throws(() => run(escape, { properties: ['map'] }), { instanceOf: TypeError, message: 'expression is not a function' })
+    t.throws(() => run(pollute, true), { message: 'Access to property map is not allowed' })
+  }
+  t.is({}.polluted, undefined)
+})
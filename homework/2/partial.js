@@ -0,0 +1,286 @@
+const acorn = require("acorn");
+const astring = require("astring");
+const traverse = require("../../common/traverse");
+const { evaluate } = require("./eval");
+const { GLOBAL_CONSTANTS, hasOwn } = require("./runtime");
+
+/**
+ * 化简的结果，known 为 true 时 value 是子表达式的值
+ * 值是原始类型时 node 已经换成了字面量，对象、函数和 symbol 没法写成字面量，node 保留化简后的表达式
+ * @typedef {{ node: Object, known: boolean, value?: * }} Folded
+ */
+
+const unknown = (node) => ({ node, known: false });
+
+const isPrimitive = (value) => value === null || (typeof value !== "object" && typeof value !== "function");
+
+// symbol 没有字面量
+const hasLiteral = (value) => isPrimitive(value) && typeof value !== "symbol";
+
+const literal = (value) => ({ type: "Literal", value });
+
+const negate = (argument) => ({ type: "UnaryExpression", operator: "-", prefix: true, argument });
+
+/**
+ * 原始值对应的表达式，负数写成 -x，NaN、Infinity、undefined 写成全局常量
+ * @param {*} value
+ * @returns {Object}
+ */
+function valueToNode(value) {
+  switch (typeof value) {
+    case "undefined":
+      return { type: "Identifier", name: "undefined" };
+    case "number":
+      if (Number.isNaN(value)) return { type: "Identifier", name: "NaN" };
+      if (value < 0 || Object.is(value, -0)) return negate(valueToNode(-value));
+      if (value === Infinity) return { type: "Identifier", name: "Infinity" };
+      return literal(value);
+    case "bigint":
+      if (value < 0n) return negate(valueToNode(-value));
+      return { ...literal(value), bigint: String(value) };
+    default:
+      return literal(value);
+  }
+}
+
+const toFolded = (node, value) => ({
+  node: hasLiteral(value) ? valueToNode(value) : node,
+  known: true,
+  value,
+});
+
+/**
+ * 子表达式都已知时求出整个表达式的值，求值报错时保留表达式，让错误在运行时出现
+ * @param {Object} node 子表达式已经化简过的节点
+ * @param {Folded[]} children
+ * @param {Object} context
+ * @returns {Folded}
+ */
+function combine(node, children, context) {
+  if (!children.every((child) => child.known)) return unknown(node);
+  try {
+    return toFolded(node, evaluate(node, context.env));
+  } catch (error) {
+    return unknown(node);
+  }
+}
+
+/**
+ * 不经过求值静态地读出 Identifier 或者 a.b.c 的值，用来判断调用的是不是纯函数
+ * @returns {{ found: boolean, value?: * }}
+ */
+function readStatic(node, env) {
+  if (node.type === "Identifier") {
+    return hasOwn(env, node.name) ? { found: true, value: env[node.name] } : { found: false };
+  }
+  if (node.type === "MemberExpression" && !node.computed) {
+    const object = readStatic(node.object, env);
+    if (!object.found || object.value == null) return { found: false };
+    return { found: true, value: object.value[node.property.name] };
+  }
+  return { found: false };
+}
+
+/**
+ * 找出表达式中被赋值的变量，以及表达式是否可能修改 env 中的对象
+ * 除了给属性赋值和 delete，调用没有标记为纯函数的函数也可能修改对象
+ */
+function findMutations(root, env, pure) {
+  const assigned = new Set();
+  let mutatesObjects = false;
+  const markTarget = (target) => {
+    if (target.type === "Identifier") assigned.add(target.name);
+    else mutatesObjects = true;
+  };
+  traverse.visit(root, {
+    AssignmentExpression(path) {
+      markTarget(path.node.left);
+    },
+    UpdateExpression(path) {
+      markTarget(path.node.argument);
+    },
+    UnaryExpression(path) {
+      if (path.node.operator === "delete") markTarget(path.node.argument);
+    },
+    CallExpression(path) {
+      const callee = readStatic(path.node.callee, env);
+      if (!callee.found || !pure.has(callee.value)) mutatesObjects = true;
+    },
+  });
+  return { assigned, mutatesObjects };
+}
+
+/**
+ * 变量的值已知的条件：在 env 上、没有被表达式赋值、没有被箭头函数的参数遮蔽
+ * 对象的属性可能被表达式修改时，只有原始值算已知
+ */
+function foldIdentifier(node, context) {
+  const { name } = node;
+  if (context.shadowed.has(name)) return unknown(node);
+  if (!hasOwn(context.env, name)) {
+    return hasOwn(GLOBAL_CONSTANTS, name) ? toFolded(node, GLOBAL_CONSTANTS[name]) : unknown(node);
+  }
+  const value = context.env[name];
+  if (!isPrimitive(value) && context.mutatesObjects) return unknown(node);
+  return toFolded(node, value);
+}
+
+function foldLogicalExpression(node, context) {
+  const left = fold(node.left, context);
+  const right = fold(node.right, context);
+  if (left.known) {
+    const { value } = left;
+    // 左边已经决定结果时不再需要右边，否则结果就是右边
+    const useLeft = node.operator === "||" ? value : node.operator === "&&" ? !value : value != null;
+    return useLeft ? left : right;
+  }
+  return unknown({ ...node, left: left.node, right: right.node });
+}
+
+function foldConditionalExpression(node, context) {
+  const test = fold(node.test, context);
+  const consequent = fold(node.consequent, context);
+  const alternate = fold(node.alternate, context);
+  if (test.known) return test.value ? consequent : alternate;
+  return unknown({ ...node, test: test.node, consequent: consequent.node, alternate: alternate.node });
+}
+
+function foldUnaryExpression(node, context) {
+  // delete 的参数必须保持为引用
+  if (node.operator === "delete") return unknown(node);
+  const argument = fold(node.argument, context);
+  return combine({ ...node, argument: argument.node }, [argument], context);
+}
+
+function foldAssignment(node, context) {
+  // 赋值和自增自减总是保留，只化简右边
+  if (node.type === "UpdateExpression") return unknown(node);
+  const right = fold(node.right, context);
+  return unknown({ ...node, right: right.node });
+}
+
+function foldMemberExpression(node, context) {
+  const object = fold(node.object, context);
+  const children = [object];
+  let { property } = node;
+  if (node.computed) {
+    const folded = fold(property, context);
+    children.push(folded);
+    property = folded.node;
+  }
+  return combine({ ...node, object: object.node, property }, children, context);
+}
+
+function foldCallExpression(node, context) {
+  const callee = fold(node.callee, context);
+  const args = node.arguments.map((arg) => fold(arg, context));
+  const folded = { ...node, callee: callee.node, arguments: args.map((arg) => arg.node) };
+  // 只有标记为纯函数的调用可以提前执行
+  if (!callee.known || !context.pure.has(callee.value)) return unknown(folded);
+  return combine(folded, [callee, ...args], context);
+}
+
+function foldArrowFunctionExpression(node, context) {
+  const shadowed = new Set(context.shadowed);
+  node.params.forEach((param) => shadowed.add(param.name));
+  const body = fold(node.body, { ...context, shadowed });
+  return unknown({ ...node, body: body.node });
+}
+
+function foldObjectExpression(node, context) {
+  const children = [];
+  const properties = node.properties.map((property) => {
+    const value = fold(property.value, context);
+    children.push(value);
+    // { a } 中的 a 化简之后要写成 { a: 1 }
+    const folded = { ...property, value: value.node, shorthand: property.shorthand && value.node === property.value };
+    if (!property.computed) return folded;
+    const key = fold(property.key, context);
+    children.push(key);
+    return { ...folded, key: key.node };
+  });
+  return combine({ ...node, properties }, children, context);
+}
+
+function foldArrayExpression(node, context) {
+  // 空位保持为 null
+  const elements = node.elements.map((element) => (element ? fold(element, context) : { node: null, known: true }));
+  return combine({ ...node, elements: elements.map((element) => element.node) }, elements, context);
+}
+
+function foldSequenceExpression(node, context) {
+  const expressions = node.expressions.map((expression) => fold(expression, context));
+  // 已知的表达式没有副作用，除了最后一个都可以去掉
+  const kept = expressions.filter((expression, i) => !expression.known || i === expressions.length - 1);
+  if (kept.length === 1) return kept[0];
+  return unknown({ ...node, expressions: kept.map((expression) => expression.node) });
+}
+
+/**
+ * @param {Object} node
+ * @param {Object} context
+ * @returns {Folded}
+ */
+function fold(node, context) {
+  switch (node.type) {
+    case "Literal":
+      return toFolded(node, node.value);
+    case "Identifier":
+      return foldIdentifier(node, context);
+    case "BinaryExpression": {
+      const left = fold(node.left, context);
+      const right = fold(node.right, context);
+      return combine({ ...node, left: left.node, right: right.node }, [left, right], context);
+    }
+    case "LogicalExpression":
+      return foldLogicalExpression(node, context);
+    case "ConditionalExpression":
+      return foldConditionalExpression(node, context);
+    case "UnaryExpression":
+      return foldUnaryExpression(node, context);
+    case "AssignmentExpression":
+    case "UpdateExpression":
+      return foldAssignment(node, context);
+    case "MemberExpression":
+      return foldMemberExpression(node, context);
+    case "ChainExpression": {
+      const expression = fold(node.expression, context);
+      return combine({ ...node, expression: expression.node }, [expression], context);
+    }
+    case "CallExpression":
+      return foldCallExpression(node, context);
+    case "ArrowFunctionExpression":
+      return foldArrowFunctionExpression(node, context);
+    case "ObjectExpression":
+      return foldObjectExpression(node, context);
+    case "ArrayExpression":
+      return foldArrayExpression(node, context);
+    case "SequenceExpression":
+      return foldSequenceExpression(node, context);
+  }
+  // 求值器不支持的语法原样保留
+  return unknown(node);
+}
+
+/**
+ * 用部分已知的 env 化简表达式：输入都已知的子表达式替换成它的值
+ * env 中没有的变量是未知的；调用只有在函数被标记为纯函数时才会提前执行
+ * @param {string} code
+ * @param {Object} env 已知的变量
+ * @param {Object} options
+ * @param {Function[]} [options.pure] 没有副作用、结果只取决于参数的函数
+ * @returns {{ node: Object, code: string, known: boolean, value?: * }}
+ *   known 表示整个表达式都已经求出值，value 为它的值
+ */
+function partialEvaluate(code, env = {}, options = {}) {
+  const root = acorn.parseExpressionAt(code, 0, {
+    ecmaVersion: 2020,
+  });
+  const pure = new Set(options.pure || []);
+  const { assigned, mutatesObjects } = findMutations(root, env, pure);
+  const result = fold(root, { env, pure, shadowed: assigned, mutatesObjects });
+  return { ...result, code: astring.generate(result.node) };
+}
+
+module.exports = partialEvaluate;
+module.exports.valueToNode = valueToNode;
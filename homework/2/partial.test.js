@@ -0,0 +1,59 @@
+const partialEvaluate = require('./partial');
+const customerEval = require('./eval');
+const test = require('ava');
+
+test('部分求值 - 化简已知的子表达式', t => {
+  t.is(partialEvaluate('x * (2 + 3)').code, 'x * 5')
+  t.is(partialEvaluate('x ** (1 - 3) + (0 - 5) ** x').code, 'x ** -2 + (-5) ** x')
+  t.is(partialEvaluate('rate * price + fee', { rate: 0.2, fee: 3 }).code, '0.2 * price + 3')
+  t.is(partialEvaluate('config.tiers[config.level].discount * total', { config: { level: 1, tiers: [{ discount: 1 }, { discount: 0.9 }] } }).code, '0.9 * total')
+  t.is(partialEvaluate('({ a, b: [a, b + 1] })', { a: 'x' }).code, '{\n  a: "x",\n  b: ["x", b + 1]\n}')
+  t.is(partialEvaluate('[1 / 0, 0 / 0, void 0, 2n ** 70n, -0]').code, '[Infinity, NaN, undefined, 1180591620717411303424n, -0]')
+
+  const result = partialEvaluate('a + b * 2', { a: 1, b: 2 })
+  t.true(result.known)
+  t.is(result.value, 5)
+  t.deepEqual(result.node, { type: 'Literal', value: 5 })
+})
+
+test('部分求值 - 条件和逻辑表达式去掉不会执行的分支', t => {
+  t.is(partialEvaluate('debug ? log(x) : x + 1', { debug: false }).code, 'x + 1')
+  t.is(partialEvaluate('enabled && limit || fallback', { enabled: true }).code, 'limit || fallback')
+  t.is(partialEvaluate('override ?? defaults.size', { override: null, defaults: { size: 12 } }).code, '12')
+  t.is(partialEvaluate('a?.b.c + x', { a: null }).code, 'undefined + x')
+  t.is(partialEvaluate('(1, f(), 2, [1, 2].length)').code, '(f(), 2)')
+  t.is(partialEvaluate('[x, , 1 + 1][2] + [, 3].length').code, '[x, , 2][2] + 2')
+})
+
+test('部分求值 - 有副作用的调用只在标记为纯函数时执行', t => {
+  let calls = 0
+  const env = { Math, config: { min: 3 }, log: () => calls++ }
+  t.is(partialEvaluate('Math.max(1, config.min) * x', env, { pure: [Math.max] }).code, '3 * x')
+  t.is(partialEvaluate('Math.max(1, 2) * x', env).code, 'Math.max(1, 2) * x')
+  // 调用非纯函数可能修改对象，对象的属性不再算已知
+  t.is(partialEvaluate('log(config) + config.min', env).code, 'log(config) + config.min')
+  t.is(calls, 0)
+})
+
+test('部分求值 - 被赋值和被参数遮蔽的变量不算已知', t => {
+  t.is(partialEvaluate('(n = n + 1, n * m)', { n: 5, m: 2 }).code, '(n = n + 1, n * 2)')
+  t.is(partialEvaluate('list.map(n => n * k + base)', { n: 100, k: 2 }).code, 'list.map(n => n * 2 + base)')
+  t.is(partialEvaluate('obj.a = obj.a + 1', { obj: { a: 1 } }).code, 'obj.a = obj.a + 1')
+})
+
+test('部分求值 - 化简前后的结果一致', t => {
+  const known = { a: 3, s: 'str', obj: { list: [1, 2, 3], nil: null }, Math }
+  const rest = { x: 7, y: -2, f: v => v * 10 }
+  const codeList = [
+    'a * x + y ** 2 - s.length',
+    'obj.list.length > a ? f(x) : obj.nil?.v ?? y',
+    '[typeof x, typeof a, !a, -a + x, a in obj, "list" in obj]',
+    '(g => g(a) + g(x))(v => v * a)',
+    'Math.min(a, x, Math.abs(y))',
+    '[a, , x, , ]',
+  ]
+  for (const code of codeList) {
+    const { code: folded } = partialEvaluate(code, known, { pure: [Math.min, Math.abs] })
+    t.deepEqual(customerEval(folded, { ...known, ...rest }), customerEval(code, { ...known, ...rest }), code)
+  }
+})
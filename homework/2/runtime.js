@@ -0,0 +1,254 @@
+/**
+ * 树遍历求值器和编译器共用的运行时：运算符、属性读写以及沙箱检查
+ */
+
+// 全局对象上不可修改的值，行为和字面量一样
+const GLOBAL_CONSTANTS = { undefined: undefined, NaN: NaN, Infinity: Infinity };
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// 二元运算，运算符本身已经按规范做了类型转换
+const BINARY_OPERATORS = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "%": (a, b) => a % b,
+  "**": (a, b) => a ** b,
+  "==": (a, b) => a == b,
+  "!=": (a, b) => a != b,
+  "===": (a, b) => a === b,
+  "!==": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<<": (a, b) => a << b,
+  ">>": (a, b) => a >> b,
+  ">>>": (a, b) => a >>> b,
+  "&": (a, b) => a & b,
+  "|": (a, b) => a | b,
+  "^": (a, b) => a ^ b,
+  in: (a, b) => a in b,
+  instanceof: (a, b) => a instanceof b,
+};
+
+// typeof 和 delete 需要特殊处理，不在这里
+const UNARY_OPERATORS = {
+  "!": (value) => !value,
+  "-": (value) => -value,
+  "+": (value) => +value,
+  "~": (value) => ~value,
+  void: (value) => void value,
+};
+
+/**
+ * @param {string} operator
+ * @param {Object} table
+ * @returns {Function}
+ */
+function getOperator(operator, table) {
+  if (!hasOwn(table, operator)) {
+    throw new Error(`Unsupported Operator ${operator}`);
+  }
+  return table[operator];
+}
+
+/**
+ * 二元运算
+ * @param {string} operator
+ * @param {*} leftValue
+ * @param {*} rightValue
+ * @returns
+ */
+function applyBinaryOperator(operator, leftValue, rightValue) {
+  return getOperator(operator, BINARY_OPERATORS)(leftValue, rightValue);
+}
+
+// 可选链中遇到 null / undefined 时沿着链一直返回它，直到 ChainExpression 变成 undefined
+const SHORT_CIRCUIT = Symbol("short circuit");
+
+// 沙箱状态保存在 env 的 symbol 属性上，箭头函数复制 env 时会一起带上，表达式本身拿不到它
+const SANDBOX = Symbol("sandbox");
+
+/**
+ * 读取变量，沙箱中只能访问 env 自己的属性，不能通过原型拿到 constructor 等
+ * @param {Object} env
+ * @param {string} name
+ * @returns
+ */
+function readVariable(env, name) {
+  const defined = env[SANDBOX] ? hasOwn(env, name) : name in env;
+  if (!defined) {
+    return hasOwn(GLOBAL_CONSTANTS, name) ? GLOBAL_CONSTANTS[name] : undefined;
+  }
+  return env[name];
+}
+
+/**
+ * 计算出来的属性名只转换一次，之后的检查和原生的读写都用同一个值，
+ * 否则 toString 每次返回不同结果的对象可以绕过沙箱检查
+ * @param {*} key
+ * @returns {string | symbol}
+ */
+const toPropertyKey = (key) => (typeof key === "symbol" ? key : String(key));
+
+/**
+ * 赋值、自增、delete 的目标，变量是 env 上的属性
+ * @typedef {{ object: *, key: *, variable?: boolean }} Target
+ */
+
+function readTarget(target, env) {
+  if (target.variable) return readVariable(env, target.key);
+  const sandbox = env[SANDBOX];
+  // null / undefined 上取属性直接让原生代码抛出 TypeError
+  if (sandbox && target.object != null) checkRead(sandbox, target.object, target.key);
+  return target.object[target.key];
+}
+
+function writeTarget(target, value, env) {
+  const sandbox = env[SANDBOX];
+  if (sandbox && !target.variable && target.object != null) checkWrite(sandbox, target.object, target.key);
+  return (target.object[target.key] = value);
+}
+
+function deleteTarget(target, env) {
+  const sandbox = env[SANDBOX];
+  if (sandbox && !target.variable && target.object != null) checkWrite(sandbox, target.object, target.key);
+  return delete target.object[target.key];
+}
+
+/**
+ * 报错信息中的函数名
+ */
+function describeCallee(node) {
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "MemberExpression" && !node.computed) {
+    return `${describeCallee(node.object)}.${node.property.name}`;
+  }
+  return "expression";
+}
+
+// 通过这些属性可以拿到 Function 构造函数或者修改原型
+const BLOCKED_PROPERTIES = new Set(["constructor", "__proto__", "prototype"]);
+
+// 通过方法名调用它们会绕过函数白名单
+const INDIRECT_CALLS = new Set([Function.prototype.call, Function.prototype.apply, Function.prototype.bind]);
+
+/**
+ * 沙箱选项
+ * @typedef {Object} SandboxOptions
+ * @property {Function[]} [functions] 可以调用的宿主函数，沙箱中创建的箭头函数总是可以调用
+ * @property {string[]} [properties] 可以读取的继承属性，如 length、map，名字在其中的方法也可以调用；
+ *   对象自己的属性总是可以读取，但值是宿主函数时只能直接调用，不能作为值传递
+ * @property {string[]} [writable] 可以赋值和 delete 的宿主对象属性，沙箱中创建的对象和数组总是可以修改
+ * @property {number} [maxOperations] 最多求值的节点数
+ * @property {number} [maxStringLength] 求值过程中字符串的最大长度
+ * @property {number} [maxArrayLength] 求值过程中数组的最大长度
+ */
+
+/**
+ * 创建一次求值使用的沙箱状态
+ * @param {SandboxOptions | boolean} options true 表示使用默认选项
+ */
+function createSandbox(options) {
+  const { functions = [], properties = [], writable = [], maxOperations, maxStringLength, maxArrayLength } =
+    options === true ? {} : options;
+  return {
+    functions: new WeakSet(functions),
+    properties: new Set(properties),
+    writable: new Set(writable),
+    // 沙箱中创建的对象和数组
+    objects: new WeakSet(),
+    maxOperations: maxOperations ?? 100000,
+    maxStringLength: maxStringLength ?? 100000,
+    maxArrayLength: maxArrayLength ?? 10000,
+    operations: 0,
+  };
+}
+
+/**
+ * 沙箱拒绝执行时抛出的错误，reason 为 property / call / operations / output
+ */
+function sandboxError(reason, message) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+function countOperation(sandbox) {
+  if (++sandbox.operations > sandbox.maxOperations) {
+    throw sandboxError("operations", `Operation limit of ${sandbox.maxOperations} exceeded`);
+  }
+}
+
+/**
+ * 检查每个节点的结果，被调用的函数不经过这里，由 checkCall 检查
+ * 宿主函数作为值传给白名单中的方法（如 list.map(Math.max)）时会被宿主调用，绕过 checkCall
+ */
+function checkOutput(sandbox, value) {
+  if (typeof value === "function" && !sandbox.functions.has(value)) {
+    throw sandboxError("call", `Access to function ${value.name || "anonymous"} is not allowed`);
+  }
+  if (typeof value === "string" && value.length > sandbox.maxStringLength) {
+    throw sandboxError("output", `String length limit of ${sandbox.maxStringLength} exceeded`);
+  }
+  if (Array.isArray(value) && value.length > sandbox.maxArrayLength) {
+    throw sandboxError("output", `Array length limit of ${sandbox.maxArrayLength} exceeded`);
+  }
+  return value;
+}
+
+function checkBlocked(key) {
+  if (BLOCKED_PROPERTIES.has(String(key))) {
+    throw sandboxError("property", `Access to property ${String(key)} is not allowed`);
+  }
+}
+
+function checkRead(sandbox, object, key) {
+  checkBlocked(key);
+  if (sandbox.properties.has(String(key))) return;
+  // 函数自己的属性（如 name）也不开放，避免拿到宿主函数的细节
+  if (typeof object !== "function" && hasOwn(Object(object), key)) return;
+  throw sandboxError("property", `Access to property ${String(key)} is not allowed`);
+}
+
+function checkWrite(sandbox, object, key) {
+  checkBlocked(key);
+  if (sandbox.objects.has(object) || sandbox.writable.has(String(key))) return;
+  throw sandboxError("property", `Writing property ${String(key)} is not allowed`);
+}
+
+/**
+ * @param {Object} sandbox
+ * @param {Function} func
+ * @param {* | null} method 通过方法调用时的属性名
+ * @param {string} description 报错时的函数名
+ */
+function checkCall(sandbox, func, method, description) {
+  if (sandbox.functions.has(func)) return;
+  if (method !== null && sandbox.properties.has(String(method)) && !INDIRECT_CALLS.has(func)) return;
+  throw sandboxError("call", `Calling ${description} is not allowed`);
+}
+
+module.exports = {
+  GLOBAL_CONSTANTS,
+  BINARY_OPERATORS,
+  UNARY_OPERATORS,
+  SHORT_CIRCUIT,
+  SANDBOX,
+  hasOwn,
+  toPropertyKey,
+  getOperator,
+  applyBinaryOperator,
+  readVariable,
+  readTarget,
+  writeTarget,
+  deleteTarget,
+  describeCallee,
+  createSandbox,
+  countOperation,
+  checkOutput,
+  checkBlocked,
+  checkCall,
+};
@@ -0,0 +1,260 @@
+const acorn = require("acorn");
+const compile = require("./compile");
+const { analyze } = require("../../common/scope");
+
+/**
+ * 公式依赖的变量：表达式中没有在内部声明的名字，箭头函数的参数和属性名不算
+ * @param {string} code
+ * @returns {string[]}
+ */
+function extractDependencies(code) {
+  const expression = acorn.parseExpressionAt(code, 0, {
+    ecmaVersion: 2020,
+  });
+  const program = {
+    type: "Program",
+    sourceType: "script",
+    body: [{ type: "ExpressionStatement", expression }],
+  };
+  return [...new Set(analyze(program).globalScope.through.map((reference) => reference.name))];
+}
+
+/**
+ * 循环引用的错误，cycle 为环上的名字，首尾相同
+ * @param {string[]} cycle
+ */
+function cycleError(cycle) {
+  const error = new Error(`Circular reference: ${cycle.join(" -> ")}`);
+  error.cycle = cycle;
+  return error;
+}
+
+/**
+ * @typedef {Object} Cell
+ * @property {string | null} formula 输入单元格为 null
+ * @property {Function | null} run 编译后的公式
+ * @property {string[]} dependencies
+ * @property {*} value
+ * @property {Error | null} error 公式或者它依赖的单元格求值出错
+ */
+
+/**
+ * 类似电子表格的公式表，公式之间可以互相引用
+ * 修改输入或者公式时只按拓扑顺序重新计算受影响的公式
+ */
+class FormulaSheet {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.globals] 公式中可以使用的全局变量，如 Math，单元格的名字会遮蔽它们
+   * @param {import("./runtime").SandboxOptions | boolean} [options.sandbox] 在沙箱中计算公式
+   */
+  constructor({ globals = {}, sandbox = false } = {}) {
+    this.globals = globals;
+    this.sandbox = sandbox;
+    /**
+     * @type {Map<string, Cell>}
+     */
+    this.cells = new Map();
+    /**
+     * 名字到依赖它的公式，被依赖的名字可以还没有定义
+     * @type {Map<string, Set<string>>}
+     */
+    this.dependents = new Map();
+    this.watchers = new Map();
+  }
+
+  /**
+   * 设置输入值，原来是公式时改为输入
+   * @param {string} name
+   * @param {*} value
+   * @returns {string[]} 按计算顺序排列的被重新计算的公式
+   */
+  set(name, value) {
+    const oldValue = this._peek(name);
+    this._replace(name, { formula: null, run: null, dependencies: [], value, error: null });
+    return this._update(name, oldValue);
+  }
+
+  /**
+   * 定义公式，形成循环引用时抛出错误，公式表保持不变
+   * @param {string} name
+   * @param {string} formula 表达式，例如 price * qty
+   * @returns {string[]} 按计算顺序排列的被重新计算的公式，包括 name 本身
+   */
+  define(name, formula) {
+    const dependencies = extractDependencies(formula);
+    const run = compile(formula, { sandbox: this.sandbox });
+    const cycle = this._findCycle(name, dependencies);
+    if (cycle) throw cycleError(cycle);
+    const oldValue = this._peek(name);
+    this._replace(name, { formula, run, dependencies, value: oldValue, error: null });
+    return this._update(name, oldValue);
+  }
+
+  /**
+   * 删除单元格，依赖它的公式会重新计算
+   * @param {string} name
+   * @returns {string[]}
+   */
+  remove(name) {
+    if (!this.cells.has(name)) return [];
+    const oldValue = this._peek(name);
+    this._replace(name, null);
+    return this._update(name, oldValue);
+  }
+
+  /**
+   * 读取单元格的值，公式出错时抛出错误
+   * @param {string} name
+   */
+  get(name) {
+    const cell = this.cells.get(name);
+    if (!cell) return undefined;
+    if (cell.error) throw cell.error;
+    return cell.value;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string[]} 公式直接依赖的名字
+   */
+  dependenciesOf(name) {
+    const cell = this.cells.get(name);
+    return cell ? [...cell.dependencies] : [];
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string[]} 直接依赖 name 的公式
+   */
+  dependentsOf(name) {
+    return [...(this.dependents.get(name) || [])];
+  }
+
+  /**
+   * 单元格的值变化时调用 listener(value, oldValue)
+   * @param {string} name
+   * @param {(value: *, oldValue: *) => void} listener
+   * @returns {() => void} 取消监听
+   */
+  watch(name, listener) {
+    if (!this.watchers.has(name)) this.watchers.set(name, new Set());
+    this.watchers.get(name).add(listener);
+    return () => this.watchers.get(name).delete(listener);
+  }
+
+  // 不抛出错误地读取当前值
+  _peek(name) {
+    const cell = this.cells.get(name);
+    return cell ? cell.value : undefined;
+  }
+
+  /**
+   * 从 dependencies 出发沿着依赖关系能回到 name 时形成环
+   * @returns {string[] | null}
+   */
+  _findCycle(name, dependencies) {
+    const visited = new Set();
+    const search = (current, path) => {
+      if (current === name) return [...path, current];
+      if (visited.has(current)) return null;
+      visited.add(current);
+      const cell = this.cells.get(current);
+      for (const next of cell ? cell.dependencies : []) {
+        const found = search(next, [...path, current]);
+        if (found) return found;
+      }
+      return null;
+    };
+    for (const dependency of dependencies) {
+      const found = search(dependency, [name]);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * 替换单元格并更新依赖图，cell 为 null 时删除
+   */
+  _replace(name, cell) {
+    const previous = this.cells.get(name);
+    for (const dependency of previous ? previous.dependencies : []) {
+      this.dependents.get(dependency).delete(name);
+    }
+    if (!cell) {
+      this.cells.delete(name);
+      return;
+    }
+    for (const dependency of cell.dependencies) {
+      if (!this.dependents.has(dependency)) this.dependents.set(dependency, new Set());
+      this.dependents.get(dependency).add(name);
+    }
+    this.cells.set(name, cell);
+  }
+
+  /**
+   * name 和所有直接或间接依赖它的公式，按拓扑顺序排列
+   */
+  _affected(name) {
+    const order = [];
+    const visited = new Set();
+    const visit = (current) => {
+      if (visited.has(current)) return;
+      visited.add(current);
+      for (const dependent of this.dependents.get(current) || []) visit(dependent);
+      order.push(current);
+    };
+    visit(name);
+    return order.reverse();
+  }
+
+  /**
+   * 重新计算受 name 影响的公式，全部算完之后再通知监听者
+   * @param {string} name
+   * @param {*} oldValue name 修改之前的值
+   */
+  _update(name, oldValue) {
+    const recomputed = [];
+    const changes = [[name, oldValue]];
+    for (const current of this._affected(name)) {
+      const cell = this.cells.get(current);
+      if (!cell || cell.formula === null) continue;
+      const previous = cell.value;
+      this._evaluate(cell);
+      recomputed.push(current);
+      if (current !== name) changes.push([current, previous]);
+    }
+    for (const [changed, previous] of changes) {
+      const cell = this.cells.get(changed);
+      const value = cell ? cell.value : undefined;
+      if (Object.is(value, previous)) continue;
+      for (const listener of this.watchers.get(changed) || []) listener(value, previous);
+    }
+    return recomputed;
+  }
+
+  _evaluate(cell) {
+    const env = { ...this.globals };
+    cell.error = null;
+    for (const dependency of cell.dependencies) {
+      const source = this.cells.get(dependency);
+      if (!source) continue;
+      // 依赖的单元格出错时错误沿着依赖传递
+      if (source.error) {
+        cell.error = source.error;
+        cell.value = undefined;
+        return;
+      }
+      env[dependency] = source.value;
+    }
+    try {
+      cell.value = cell.run(env);
+    } catch (error) {
+      cell.error = error;
+      cell.value = undefined;
+    }
+  }
+}
+
+module.exports = FormulaSheet;
+module.exports.extractDependencies = extractDependencies;
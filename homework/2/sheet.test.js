@@ -0,0 +1,95 @@
+const FormulaSheet = require('./sheet');
+const { extractDependencies } = require('./sheet');
+const test = require('ava');
+
+test('公式表 - 提取依赖', t => {
+  t.deepEqual(extractDependencies('price * qty'), ['price', 'qty'])
+  // 箭头函数的参数和属性名不是依赖
+  t.deepEqual(extractDependencies('items.map(item => item.price * rate).length + items.length'), ['items', 'rate'])
+  t.deepEqual(extractDependencies('({ total: a + b }).total'), ['a', 'b'])
+})
+
+test('公式表 - 按依赖计算公式', t => {
+  const sheet = new FormulaSheet({ globals: { Math } })
+  // 公式可以先于它依赖的单元格定义
+  sheet.define('total', 'subtotal + tax')
+  sheet.define('subtotal', 'price * qty')
+  sheet.define('tax', 'Math.round(subtotal * rate)')
+  sheet.set('price', 20)
+  sheet.set('qty', 3)
+  sheet.set('rate', 0.1)
+  t.is(sheet.get('subtotal'), 60)
+  t.is(sheet.get('tax'), 6)
+  t.is(sheet.get('total'), 66)
+  t.deepEqual(sheet.dependenciesOf('tax'), ['Math', 'subtotal', 'rate'])
+  t.deepEqual(sheet.dependentsOf('subtotal').sort(), ['tax', 'total'])
+})
+
+test('公式表 - 只按拓扑顺序重新计算受影响的公式', t => {
+  const sheet = new FormulaSheet()
+  sheet.set('price', 10)
+  sheet.set('qty', 2)
+  sheet.set('discount', 1)
+  sheet.define('subtotal', 'price * qty')
+  sheet.define('total', 'subtotal - discount')
+  sheet.define('label', '"x" + qty')
+  sheet.define('report', 'label + ": " + total')
+
+  t.deepEqual(sheet.set('discount', 5), ['total', 'report'])
+  t.is(sheet.get('report'), 'x2: 15')
+  const order = sheet.set('qty', 3)
+  t.deepEqual([...order].sort(), ['label', 'report', 'subtotal', 'total'])
+  t.true(order.indexOf('subtotal') < order.indexOf('total'))
+  t.is(order[order.length - 1], 'report')
+  t.is(sheet.get('report'), 'x3: 25')
+  t.deepEqual(sheet.define('total', 'subtotal'), ['total', 'report'])
+  t.is(sheet.get('report'), 'x3: 30')
+})
+
+test('公式表 - 循环引用报错且不修改公式表', t => {
+  const sheet = new FormulaSheet()
+  sheet.set('a', 1)
+  sheet.define('b', 'a + 1')
+  sheet.define('c', 'b * 2')
+  const error = t.throws(() => sheet.define('a', 'c + 1'), { message: 'Circular reference: a -> c -> b -> a' })
+  t.deepEqual(error.cycle, ['a', 'c', 'b', 'a'])
+  t.throws(() => sheet.define('d', 'd + 1'), { message: 'Circular reference: d -> d' })
+  t.is(sheet.get('a'), 1)
+  t.is(sheet.get('c'), 4)
+  t.deepEqual(sheet.dependentsOf('c'), [])
+})
+
+test('公式表 - 错误沿依赖传递，修复后恢复', t => {
+  const sheet = new FormulaSheet()
+  sheet.set('user', null)
+  sheet.define('name', 'user.name')
+  sheet.define('greeting', '"Hi " + name')
+  t.throws(() => sheet.get('greeting'), { instanceOf: TypeError })
+  sheet.set('user', { name: 'Ada' })
+  t.is(sheet.get('greeting'), 'Hi Ada')
+  sheet.remove('user')
+  t.throws(() => sheet.get('name'), { instanceOf: TypeError })
+})
+
+test('公式表 - 监听值的变化', t => {
+  const sheet = new FormulaSheet()
+  const changes = []
+  sheet.set('x', 1)
+  sheet.define('parity', 'x % 2')
+  sheet.define('double', 'x * 2')
+  sheet.watch('parity', (value, oldValue) => changes.push(['parity', value, oldValue]))
+  const unwatch = sheet.watch('double', (value, oldValue) => changes.push(['double', value, oldValue]))
+  sheet.set('x', 3)
+  unwatch()
+  sheet.set('x', 4)
+  t.deepEqual(changes, [['double', 6, 2], ['parity', 0, 1]])
+})
+
+test('公式表 - 在沙箱中计算公式', t => {
+  const sheet = new FormulaSheet({ sandbox: { properties: ['length'] } })
+  sheet.set('list', [1, 2, 3])
+  sheet.define('count', 'list.length')
+  sheet.define('escape', 'list.constructor')
+  t.is(sheet.get('count'), 3)
+  t.throws(() => sheet.get('escape'), { message: 'Access to property constructor is not allowed' })
+})